@@ -0,0 +1,220 @@
+/**
+ * This module finds the beats in decoded audio, so that a tempo map can be
+ * made for a song without tapping along to all of it.
+ *
+ * It follows the dynamic programming beat tracker described by Daniel Ellis
+ * ("Beat Tracking by Dynamic Programming", 2007): first measure how strongly
+ * new sounds start (onsets) throughout the song, then estimate the overall
+ * tempo from how those onsets repeat, then pick the beats that best line up
+ * with the onsets while staying close to that tempo.
+ */
+var beattrack = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the beattrack object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Length (ms) of each frame onsets are measured over
+    FRAME_DURATION: 10,
+    // Slowest and fastest tempos (beats per minute) considered
+    MIN_BPM: 60,
+    MAX_BPM: 200,
+    // Tempo (beats per minute) preferred when several fit the onsets, and how
+    // quickly (in octaves away from it) that preference falls off
+    PREFERRED_BPM: 120,
+    TEMPO_SPREAD: 1,
+    // How strongly beats are kept evenly spaced at the tempo instead of
+    // following the onsets
+    TIGHTNESS: 100,
+    // Beats at the start and end of the song with an onset strength below
+    // this fraction of the beats' RMS onset strength are left out (since the
+    // tracker fills silence with beats too)
+    MIN_EDGE_BEAT_STRENGTH: 0.5,
+    // Smallest onset strength (relative to its standard deviation) counted as
+    // an onset by findOnsets
+    MIN_ONSET_STRENGTH: 2,
+    // Shortest time (ms) between onsets found by findOnsets
+    MIN_ONSET_SPACING: 50
+  };
+
+  /**
+   * Given an AudioBuffer, return a Float32Array with how strongly new sounds
+   * start in each frame: the rise in loudness (dB) of the audio's changes
+   * from one sample to the next (which stresses the sharp attacks of notes
+   * and drums), divided by its standard deviation.
+   */
+  function getOnsetStrengths(audioBuffer) {
+    var mono = util.getMonoSamples(audioBuffer);
+    var frameLength = Math.round(
+      audioBuffer.sampleRate * globals.FRAME_DURATION / 1000
+    );
+    var strengths = new Float32Array(Math.floor(mono.length / frameLength));
+    var lastLevel = undefined;
+    for (var frame=0; frame<strengths.length; frame++) {
+      var energy = 0;
+      for (var i=frame*frameLength; i<(frame+1)*frameLength; i++) {
+        var change = mono[i] - (i ? mono[i-1] : 0);
+        energy += change * change;
+      }
+      var level = 10 * Math.log10((energy / frameLength) + 1e-10);
+      if (lastLevel !== undefined) {
+        strengths[frame] = Math.max(0, level - lastLevel);
+      }
+      lastLevel = level;
+    }
+    var sumOfSquares = 0;
+    for (var frame=0; frame<strengths.length; frame++) {
+      sumOfSquares += strengths[frame] * strengths[frame];
+    }
+    var deviation = Math.sqrt(sumOfSquares / strengths.length) || 1;
+    for (var frame=0; frame<strengths.length; frame++) {
+      strengths[frame] /= deviation;
+    }
+    return strengths;
+  }
+
+  /**
+   * Given the onset strengths (see getOnsetStrengths), return the number of
+   * frames between beats that best matches how the onsets repeat (by
+   * autocorrelation), favoring tempos near PREFERRED_BPM.
+   */
+  function getBeatPeriod(strengths) {
+    var framesPerMinute = 60000 / globals.FRAME_DURATION;
+    var minPeriod = Math.floor(framesPerMinute / globals.MAX_BPM);
+    var maxPeriod = Math.ceil(framesPerMinute / globals.MIN_BPM);
+    var bestPeriod = minPeriod;
+    var bestScore = -Infinity;
+    for (var period=minPeriod; period<=maxPeriod; period++) {
+      var correlation = 0;
+      for (var frame=period; frame<strengths.length; frame++) {
+        correlation += strengths[frame] * strengths[frame - period];
+      }
+      var octaves = Math.log2(
+        (framesPerMinute / period) / globals.PREFERRED_BPM
+      );
+      var weight = Math.exp(
+        -0.5 * Math.pow(octaves / globals.TEMPO_SPREAD, 2)
+      );
+      if (correlation * weight > bestScore) {
+        bestScore = correlation * weight;
+        bestPeriod = period;
+      }
+    }
+    return bestPeriod;
+  }
+
+  /**
+   * Given the onset strengths (see getOnsetStrengths) and the number of frames
+   * between beats (see getBeatPeriod), return a list of the frames the beats
+   * fall on, in order.
+   *
+   * Each frame is scored by its onset strength plus the best score of a
+   * possible previous beat (if any is better than none), penalized the
+   * further that beat is from one period before it. The beats are then found
+   * by following the best previous beats back from the best-scoring frame
+   * near the end.
+   */
+  function getBeatFrames(strengths, period) {
+    var scores = new Float32Array(strengths.length);
+    var previousBeats = new Int32Array(strengths.length).fill(-1);
+    for (var frame=0; frame<strengths.length; frame++) {
+      // A frame can also be the first beat, with no previous beat
+      var bestScore = 0;
+      var start = Math.max(0, frame - Math.round(2 * period));
+      var end = frame - Math.round(period / 2);
+      for (var previous=start; previous<=end; previous++) {
+        var stretch = Math.log((frame - previous) / period);
+        var score = scores[previous] -
+          (globals.TIGHTNESS * stretch * stretch);
+        if (score > bestScore) {
+          bestScore = score;
+          previousBeats[frame] = previous;
+        }
+      }
+      scores[frame] = strengths[frame] + bestScore;
+    }
+    var lastBeat = Math.max(0, strengths.length - period);
+    for (var frame=lastBeat; frame<strengths.length; frame++) {
+      if (scores[frame] > scores[lastBeat]) {
+        lastBeat = frame;
+      }
+    }
+    var beatFrames = [];
+    for (var frame=lastBeat; frame!==-1; frame=previousBeats[frame]) {
+      beatFrames.unshift(frame);
+    }
+    return trimWeakBeats(strengths, beatFrames);
+  }
+
+  /**
+   * Given the onset strengths and a list of beat frames, return the list
+   * without the weak beats at its start and end (see MIN_EDGE_BEAT_STRENGTH).
+   */
+  function trimWeakBeats(strengths, beatFrames) {
+    var sumOfSquares = 0;
+    beatFrames.forEach(function(frame) {
+      sumOfSquares += strengths[frame] * strengths[frame];
+    });
+    var threshold = globals.MIN_EDGE_BEAT_STRENGTH *
+      Math.sqrt(sumOfSquares / beatFrames.length);
+    var first = 0;
+    var last = beatFrames.length - 1;
+    while ((first <= last) && (strengths[beatFrames[first]] < threshold)) {
+      first++;
+    }
+    while ((last >= first) && (strengths[beatFrames[last]] < threshold)) {
+      last--;
+    }
+    return beatFrames.slice(first, last + 1);
+  }
+
+  /**
+   * Given an AudioBuffer, return a list of the times (ms, in order) of the
+   * beats found in it. The list is empty if the audio is too short (or too
+   * quiet) to find at least 2 beats.
+   */
+  beattrack.findBeats = function(audioBuffer) {
+    var strengths = getOnsetStrengths(audioBuffer);
+    var beatFrames = getBeatFrames(strengths, getBeatPeriod(strengths));
+    if (beatFrames.length < 2) {
+      return [];
+    }
+    return beatFrames.map(function(frame) {
+      return frame * globals.FRAME_DURATION;
+    });
+  };
+
+  /**
+   * Given an AudioBuffer, return a list of the times (ms, in order) where new
+   * sounds start in it: the frames whose onset strength is at least
+   * MIN_ONSET_STRENGTH and the largest within MIN_ONSET_SPACING of them.
+   */
+  beattrack.findOnsets = function(audioBuffer) {
+    var strengths = getOnsetStrengths(audioBuffer);
+    var spacing = Math.round(
+      globals.MIN_ONSET_SPACING / globals.FRAME_DURATION
+    );
+    var onsets = [];
+    for (var frame=0; frame<strengths.length; frame++) {
+      if (strengths[frame] < globals.MIN_ONSET_STRENGTH) {
+        continue;
+      }
+      var start = Math.max(0, frame - spacing);
+      var end = Math.min(strengths.length - 1, frame + spacing);
+      var isLargest = true;
+      for (var other=start; other<=end; other++) {
+        // Ties go to the earliest frame
+        if ((strengths[other] > strengths[frame]) ||
+            ((strengths[other] === strengths[frame]) && (other < frame))) {
+          isLargest = false;
+          break;
+        }
+      }
+      if (isLargest) {
+        onsets.push(frame * globals.FRAME_DURATION);
+      }
+    }
+    return onsets;
+  };
+})();
@@ -0,0 +1,269 @@
+/**
+ * This module works with beat grids, which line up bars and beats with the
+ * milliseconds that notes are stored in. A grid is an object with the
+ * following attributes:
+ * - bpm: tempo (beats per minute)
+ * - beatsPerBar: top number of the time signature (beats in each bar)
+ * - beatUnit: bottom number of the time signature (4 if a beat is a quarter
+ *   note, 8 if it's an eighth note, etc.)
+ * - offset: time (ms) of the first beat of bar 1, so the grid can be lined up
+ *   with the audio
+ * - beats (optional): tempo map of a song that doesn't keep a steady tempo; a
+ *   list of the times (ms, increasing) of at least 2 consecutive beats,
+ *   starting with the first beat of bar 1. Between them, beats are placed
+ *   here instead of by the bpm and offset (which should be kept at the
+ *   average tempo and the first beat), and before and after them, beats
+ *   continue at the spacing of the nearest two.
+ * Beats are counted from 0 at the first beat of bar 1 (so beats before it are
+ * negative), and can be fractional to describe times between beats.
+ */
+var grid = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the grid object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Grid used until the user sets their own
+    DEFAULT_GRID: {bpm: 120, beatsPerBar: 4, beatUnit: 4, offset: 0},
+    // Slowest and fastest tempos (beats per minute) allowed
+    MIN_BPM: 10,
+    MAX_BPM: 1000,
+    // Most beats allowed in a bar
+    MAX_BEATS_PER_BAR: 64,
+    // Allowed bottom numbers of the time signature
+    BEAT_UNITS: [1, 2, 4, 8, 16, 32]
+  };
+
+  /**
+   * Return a new copy of the default grid (120 BPM, 4/4, starting at 0).
+   */
+  grid.getDefault = function() {
+    return Object.assign({}, globals.DEFAULT_GRID);
+  };
+
+  /**
+   * Given something that should be a grid (like one read from a file), return
+   * a description of the first problem with it, or undefined if it's a valid
+   * grid.
+   */
+  grid.validate = function(maybeGrid) {
+    if ((typeof maybeGrid !== "object") || (maybeGrid === null)) {
+      return "Grid is not an object.";
+    }
+    var props = ["bpm", "beatsPerBar", "beatUnit", "offset"];
+    for (var i=0; i<props.length; i++) {
+      var value = maybeGrid[props[i]];
+      if ((typeof value !== "number") || !isFinite(value)) {
+        return "Grid property " + props[i] + " is not a number.";
+      }
+    }
+    if ((maybeGrid.bpm < globals.MIN_BPM) ||
+        (maybeGrid.bpm > globals.MAX_BPM)) {
+      return "BPM must be between " + globals.MIN_BPM + " and " +
+        globals.MAX_BPM + ".";
+    }
+    if (!Number.isInteger(maybeGrid.beatsPerBar) ||
+        (maybeGrid.beatsPerBar < 1) ||
+        (maybeGrid.beatsPerBar > globals.MAX_BEATS_PER_BAR)) {
+      return "Beats per bar must be a whole number between 1 and " +
+        globals.MAX_BEATS_PER_BAR + ".";
+    }
+    if (!globals.BEAT_UNITS.includes(maybeGrid.beatUnit)) {
+      return "Beat unit must be one of " + globals.BEAT_UNITS.join(", ") + ".";
+    }
+    if (maybeGrid.offset < 0) {
+      return "Offset of beat 1 must not be negative.";
+    }
+    if (maybeGrid.beats !== undefined) {
+      if (!Array.isArray(maybeGrid.beats) || (maybeGrid.beats.length < 2)) {
+        return "Grid beats must be a list of at least 2 times.";
+      }
+      for (var i=0; i<maybeGrid.beats.length; i++) {
+        var beat = maybeGrid.beats[i];
+        if ((typeof beat !== "number") || !isFinite(beat)) {
+          return "Grid beat " + i + " is not a number.";
+        }
+        if (i && (beat <= maybeGrid.beats[i-1])) {
+          return "Grid beat " + i + " is not after the one before it.";
+        }
+      }
+    }
+    return undefined;
+  };
+
+  /**
+   * Given a list of beat times (see the top of this file for "beats"), return
+   * a grid with them as its tempo map, based on the provided grid (which may
+   * be undefined to use the default) for its time signature. Its bpm and
+   * offset are set to the average tempo and the first beat.
+   */
+  grid.fromBeats = function(beats, beatGrid) {
+    var first = beats[0];
+    var last = beats[beats.length - 1];
+    return Object.assign({}, beatGrid || globals.DEFAULT_GRID, {
+      bpm: Math.round(60000 * (beats.length - 1) / (last - first) * 100) / 100,
+      offset: first,
+      beats: beats.slice()
+    });
+  };
+
+  /**
+   * Given a tempo map's list of beat times and a time (ms), return the index
+   * of the beat that starts the span of the map the time is in: the last beat
+   * at or before it, but never the last beat (so there's always a next one to
+   * measure the span with).
+   */
+  function getSpanIndex(beats, time) {
+    var low = 0;
+    var high = beats.length - 2;
+    while (low < high) {
+      var middle = Math.ceil((low + high) / 2);
+      if (beats[middle] <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Return the length (ms) of one beat of the provided grid.
+   */
+  grid.getBeatDuration = function(beatGrid) {
+    return 60000 / beatGrid.bpm;
+  };
+
+  /**
+   * Return the length (ms) of one bar of the provided grid.
+   */
+  grid.getBarDuration = function(beatGrid) {
+    return grid.getBeatDuration(beatGrid) * beatGrid.beatsPerBar;
+  };
+
+  /**
+   * Return the tempo of the provided grid in quarter notes per minute (which
+   * differs from its BPM when a beat isn't a quarter note).
+   */
+  grid.getQuarterNoteBpm = function(beatGrid) {
+    return beatGrid.bpm * 4 / beatGrid.beatUnit;
+  };
+
+  /**
+   * Given a grid and a time (ms), return the (fractional) beat at that time.
+   */
+  grid.timeToBeat = function(beatGrid, time) {
+    var beats = beatGrid.beats;
+    if (!beats) {
+      return (time - beatGrid.offset) / grid.getBeatDuration(beatGrid);
+    }
+    var i = getSpanIndex(beats, time);
+    return i + ((time - beats[i]) / (beats[i+1] - beats[i]));
+  };
+
+  /**
+   * Given a grid and a (fractional) beat, return the time (ms) of that beat.
+   */
+  grid.beatToTime = function(beatGrid, beat) {
+    var beats = beatGrid.beats;
+    if (!beats) {
+      return beatGrid.offset + (beat * grid.getBeatDuration(beatGrid));
+    }
+    var i = Math.max(0, Math.min(beats.length - 2, Math.floor(beat)));
+    return beats[i] + ((beat - i) * (beats[i+1] - beats[i]));
+  };
+
+  /**
+   * Return the time (ms) of the last bar line of the provided grid at or before
+   * time 0 (so it's 0 or negative). Bars before the first beat of bar 1 are
+   * pickup bars.
+   */
+  grid.getFirstBarTime = function(beatGrid) {
+    var bar = Math.floor(
+      grid.timeToBeat(beatGrid, 0) / beatGrid.beatsPerBar
+    );
+    return Math.min(0, grid.beatToTime(beatGrid, bar * beatGrid.beatsPerBar));
+  };
+
+  /**
+   * Given a grid, return a list of its tempo changes from its first bar line
+   * (see getFirstBarTime) on, each an object with the "time" (ms) it happens
+   * and the "bpm" (quarter notes per minute) it changes to. A grid without a
+   * tempo map has just one.
+   */
+  grid.getTempos = function(beatGrid) {
+    var firstBarTime = grid.getFirstBarTime(beatGrid);
+    var beats = beatGrid.beats;
+    if (!beats) {
+      return [{time: firstBarTime, bpm: grid.getQuarterNoteBpm(beatGrid)}];
+    }
+    var quartersPerBeat = 4 / beatGrid.beatUnit;
+    var tempos = [];
+    for (var i=0; i<beats.length-1; i++) {
+      tempos.push({
+        time: (i === 0) ? Math.min(firstBarTime, beats[0]) : beats[i],
+        bpm: 60000 * quartersPerBeat / (beats[i+1] - beats[i])
+      });
+    }
+    return tempos;
+  };
+
+  /**
+   * Given a grid, a time (ms), and an object with the following attributes,
+   * return the time (ms) of the grid line nearest to it:
+   * - division: length of the space between grid lines, as the number of
+   *   them that fit in a whole note (so 16 for sixteenth notes, or 12 for
+   *   eighth-note triplets)
+   * - swing: how far (0-1) every second grid line is pushed back toward the
+   *   one after it; at 1, it's pushed back a third of the way, making pairs
+   *   of lines long-short like triplets
+   * Grid lines are counted in pairs from the first beat of bar 1.
+   */
+  grid.quantizeTime = function(beatGrid, time, args) {
+    var step = beatGrid.beatUnit / args.division;
+    var beat = grid.timeToBeat(beatGrid, time);
+    var pairStart = Math.floor(beat / (2 * step)) * 2 * step;
+    var lineBeats = [
+      pairStart,
+      pairStart + (step * (1 + (args.swing / 3))),
+      pairStart + (2 * step)
+    ];
+    var nearestTime = undefined;
+    lineBeats.forEach(function(lineBeat) {
+      var lineTime = grid.beatToTime(beatGrid, lineBeat);
+      if ((nearestTime === undefined) ||
+          (Math.abs(lineTime - time) < Math.abs(nearestTime - time))) {
+        nearestTime = lineTime;
+      }
+    });
+    return nearestTime;
+  };
+
+  /**
+   * Given a grid and a range of time (ms), return a list of the beats in it
+   * (including its ends), in order. Each is an object with the following
+   * attributes:
+   * - time: time (ms) of the beat
+   * - beat: integer number of the beat (see top of file)
+   * - bar: number of the bar it's in (1 for the first bar, 0 for the pickup
+   *   bar before it, etc.)
+   * - isBarStart: whether it's the first beat of its bar
+   */
+  grid.getBeats = function(beatGrid, startTime, endTime) {
+    var beats = [];
+    var firstBeat = Math.ceil(grid.timeToBeat(beatGrid, startTime));
+    var lastBeat = Math.floor(grid.timeToBeat(beatGrid, endTime));
+    for (var beat=firstBeat; beat<=lastBeat; beat++) {
+      var beatInBar = ((beat % beatGrid.beatsPerBar) + beatGrid.beatsPerBar) %
+        beatGrid.beatsPerBar;
+      beats.push({
+        time: grid.beatToTime(beatGrid, beat),
+        beat: beat,
+        bar: Math.floor(beat / beatGrid.beatsPerBar) + 1,
+        isBarStart: beatInBar === 0
+      });
+    }
+    return beats;
+  };
+})();
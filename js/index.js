@@ -11,18 +11,98 @@ var index = {};
 (function() {
   // Global variables used across functions
   var globals = {
+    //// Constants
+    // Value of the option in the outputs list for the built-in synth
+    SYNTH_OUTPUT_KEY: "built-in-synth",
+    // Largest number of edits that can be undone
+    MAX_UNDO_STATES: 100,
+    // Length (ms) and velocity of the note played when a key of the display's
+    // keyboard is clicked
+    AUDITION_DURATION: 500,
+    AUDITION_VELOCITY: 100,
+    // Gap (ms) left between a note read from a Standard MIDI File and a repeat
+    // of it starting right as it ends, so the two aren't combined
+    REPEAT_GAP: 1,
+    // Colors given to new tracks, in turn
+    TRACK_COLORS: [
+      "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b",
+      "#e377c2", "#17becf"
+    ],
+    //// Variables
     // MIDIAccess object for interfacing with web MIDI API
     midiAccess: undefined,
+    // Software instrument usable in place of a MIDIOutput (see synth)
+    synthOutput: undefined,
     // AudioContext object used for audio playback and decoding
     audioContext: undefined,
     // AudioBuffer object containing the decoded audio of the original song file
     // (may be undefined)
     audioBuffer: undefined,
-    // Notes that exist for playback
-    notes: [],
+    // Speed to play back and record at, where 1 is normal speed
+    playbackRate: 1,
+    // AudioBuffer object containing audioBuffer stretched to the playbackRate
+    // (undefined if audioBuffer is)
+    stretchedAudioBuffer: undefined,
+    // Tracks of notes that exist for playback (see createTrack), in the order
+    // listed
+    tracks: [],
+    // Index in tracks of the current track, which is shown for editing and
+    // recorded into
+    trackIndex: 0,
+    // Index in the current track's takes of the one heard alone in place of
+    // its comp (see createTrack), or undefined to hear the comp
+    auditionTake: undefined,
     // Time (ms, relative to start) where the next playback or record event will
     // start from
-    time: 0
+    time: 0,
+    // Region (object with "start" and "end" in ms) to repeat during playback
+    // and recording, or undefined if there is none
+    loop: undefined,
+    // Range (object with "start" and "end" in ms) that recording punches in
+    // over, replacing what the current track played there, or undefined if
+    // recording doesn't punch in
+    punch: undefined,
+    // Time (ms) recording starts before the punch range, so the performer
+    // hears what comes before it
+    preRoll: 2000,
+    // Punch range of the recording going on (undefined if it doesn't punch
+    // in)
+    recordingPunch: undefined,
+    // Time (ms) in the song the recording going on started from (after any
+    // count-in)
+    recordingStart: 0,
+    // Loop region the recording going on repeats (undefined if it doesn't
+    // loop)
+    recordingLoop: undefined,
+    // Whether the metronome clicks along with the grid during playback and
+    // recording
+    isMetronomeOn: false,
+    // Volume (0-1) of the metronome's clicks
+    metronomeVolume: 0.5,
+    // Number of bars the metronome counts in before recording starts (0 for
+    // no count-in)
+    countInBars: 0,
+    // Beat grid (see grid.js) the notes are lined up with, or undefined if the
+    // user hasn't turned one on
+    grid: undefined,
+    // Channel (0-15) being edited in the display, or undefined if every
+    // channel is
+    channel: undefined,
+    // Times (ms, increasing) of the beats tapped so far, or undefined if the
+    // user isn't tapping beats
+    tapTimes: undefined,
+    // MIDIInput listened to for sustain pedal taps while tapping beats (may be
+    // undefined)
+    tapMidiInput: undefined,
+    // Whether the sustain pedal of the tapMidiInput is down
+    isTapPedalDown: false,
+    // Map of AudioBuffer to the times (ms) of its onsets (see
+    // beattrack.findOnsets), found the first time they're snapped to
+    onsets: new WeakMap(),
+    // States (see getUndoState) from before each edit, most recent last
+    undoStates: [],
+    // States from before each undo, most recent last (cleared on a new edit)
+    redoStates: []
   };
 
   /**
@@ -34,6 +114,196 @@ var index = {};
     }
   }
 
+  /**
+   * Return a new empty track, named and colored for the provided number
+   * (counting from 0) of tracks before it. A track is an object with the
+   * following attributes:
+   * - name: name shown for it in the track list
+   * - color: color (like "#1f77b4") its notes are drawn in behind the current
+   *   track's
+   * - notes: list of its notes, ordered by start
+   * - controlEvents: list of its control events (see
+   *   midi.getControlEventFromMessage), ordered by time
+   * - outputKey: value of the option in the outputs list it plays through, or
+   *   "" for whichever one is selected there
+   * - channel: MIDI channel (0-15) it plays on, or undefined to play each of
+   *   its notes and control events on their own
+   * - isMuted: whether it's left out of playback
+   * - isSoloed: whether it's played while the tracks that aren't soloed are
+   *   left out
+   * - isHidden: whether its notes are left out of the display
+   * - isLocked: whether its notes and control events can't be edited
+   * - takes: list of the recording passes kept apart from its notes, in the
+   *   order recorded, each an object with its "name", the "time" it was
+   *   recorded (ms since 1970, see Date.now), the "range" of time it was
+   *   recorded over (object with "start" and "end" in ms), and its "notes"
+   *   and "controlEvents" (ordered like the track's)
+   * - comp: list of the ranges of time in which a take is played along with
+   *   the notes, ordered by start, each an object with its "start" and "end"
+   *   (ms) and the index of the "take"; where ranges meet, the later one is
+   *   used
+   */
+  function createTrack(number) {
+    return {
+      name: "Track " + (number + 1),
+      color: globals.TRACK_COLORS[number % globals.TRACK_COLORS.length],
+      notes: [],
+      controlEvents: [],
+      outputKey: "",
+      channel: undefined,
+      isMuted: false,
+      isSoloed: false,
+      isHidden: false,
+      isLocked: false,
+      takes: [],
+      comp: []
+    };
+  }
+
+  /**
+   * Return the current track (see globals.trackIndex).
+   */
+  function getTrack() {
+    return globals.tracks[globals.trackIndex];
+  }
+
+  /**
+   * Show the current track's notes in the display (none, if it's hidden).
+   */
+  function showNotes() {
+    var track = getTrack();
+    notedisplay.showNotes(
+      track.isHidden ? [] : track.notes, globals.audioBuffer
+    );
+  }
+
+  /**
+   * Show the current track's control events in the display (none, if it's
+   * hidden).
+   */
+  function showControlEvents() {
+    var track = getTrack();
+    notedisplay.showControlEvents(track.isHidden ? [] : track.controlEvents);
+  }
+
+  /**
+   * Show the track list, the take list, the current track's notes and
+   * control events, and behind them the notes of its takes that are heard
+   * (see getHeardComp) and those played by the other tracks that aren't
+   * hidden.
+   */
+  function showTracks() {
+    drawTrackList();
+    drawTakeList();
+    var otherTracks = [];
+    globals.tracks.forEach(function(track, i) {
+      if (track.isHidden) {
+        return;
+      } else if (i === globals.trackIndex) {
+        otherTracks.push({notes: getCompNotes(track), color: track.color});
+      } else {
+        otherTracks.push({notes: getPlayedNotes(track), color: track.color});
+      }
+    });
+    var currentTrack = getTrack();
+    notedisplay.setLocked(currentTrack.isLocked);
+    notedisplay.showTracks(
+      otherTracks,
+      currentTrack.isHidden ? [] : currentTrack.notes,
+      currentTrack.isHidden ? [] : currentTrack.controlEvents
+    );
+  }
+
+  /**
+   * Return true if the current track can be edited (it isn't hidden or
+   * locked), or else say why not in the track status and return false.
+   */
+  function canEditTrack() {
+    var track = getTrack();
+    var statusElem = document.getElementById("track-status");
+    if (track.isHidden || track.isLocked) {
+      statusElem.textContent = track.name + " is " +
+        (track.isLocked ? "locked" : "hidden") + ".";
+      return false;
+    }
+    statusElem.textContent = "";
+    return true;
+  }
+
+  /**
+   * Return an object holding copies of everything an edit can change (the
+   * tracks, audio buffer, time, and grid), so it can be restored later.
+   */
+  function getUndoState() {
+    return {
+      // Control events are never changed in place, so their lists are enough
+      tracks: globals.tracks.map(function(track) {
+        return Object.assign({}, track, {
+          notes: util.noteListCopy(track.notes)
+        });
+      }),
+      trackIndex: globals.trackIndex,
+      audioBuffer: globals.audioBuffer,
+      time: globals.time,
+      grid: globals.grid
+    };
+  }
+
+  /**
+   * Save the current state so that the edit about to be made can be undone.
+   * This must be called before every change to the tracks (including their
+   * notes and control events), audio buffer, or grid.
+   */
+  function saveUndoState() {
+    globals.undoStates.push(getUndoState());
+    if (globals.undoStates.length > globals.MAX_UNDO_STATES) {
+      globals.undoStates.shift();
+    }
+    globals.redoStates = [];
+  }
+
+  /**
+   * Replace the tracks, audio buffer, time, and grid with those of the
+   * provided state (see getUndoState), and show them.
+   */
+  function restoreUndoState(state) {
+    globals.tracks = state.tracks;
+    globals.trackIndex = state.trackIndex;
+    globals.auditionTake = undefined;
+    if (globals.audioBuffer !== state.audioBuffer) {
+      globals.audioBuffer = state.audioBuffer;
+      updateStretchedAudio();
+      onChangeSnap();
+    }
+    globals.time = state.time;
+    setGrid(state.grid);
+    showTracks();
+    notedisplay.showTime(globals.time);
+  }
+
+  /**
+   * Go back to how things were before the last edit (if not recording or
+   * playing).
+   */
+  function onUndo() {
+    if (!(record.isRecording || playback.isPlaying) &&
+        globals.undoStates.length) {
+      globals.redoStates.push(getUndoState());
+      restoreUndoState(globals.undoStates.pop());
+    }
+  }
+
+  /**
+   * Redo the last edit that was undone (if not recording or playing).
+   */
+  function onRedo() {
+    if (!(record.isRecording || playback.isPlaying) &&
+        globals.redoStates.length) {
+      globals.undoStates.push(getUndoState());
+      restoreUndoState(globals.redoStates.pop());
+    }
+  }
+
   /**
    * Cycle through available MIDIInput objects and make the input options
    * reflect these.
@@ -51,17 +321,23 @@ var index = {};
 
   /**
    * Cycle through available MIDIOutput objects and make the output options
-   * reflect these.
+   * (including those of each track) reflect these, followed by the built-in
+   * synth.
    */
   function onPressRefreshOutputs() {
     var midiOutputs = document.getElementById("outputs");
     clearChildren(midiOutputs);
-    globals.midiAccess.outputs.forEach(function(port, key) {
+    var addOutputOption = function(port, key) {
       var outputOption = document.createElement("option");
       outputOption.text = port.name;
       outputOption.value = key;
       midiOutputs.appendChild(outputOption);
-    });
+    };
+    if (globals.midiAccess) {
+      globals.midiAccess.outputs.forEach(addOutputOption);
+    }
+    addOutputOption(globals.synthOutput, globals.SYNTH_OUTPUT_KEY);
+    drawTrackList();
   }
 
   /**
@@ -79,9 +355,15 @@ var index = {};
       reader.onload = function() {
         globals.audioContext.decodeAudioData(reader.result).then(
           function(buffer) {
+            saveUndoState();
             globals.audioBuffer = buffer;
-            notedisplay.showNotes(globals.notes, globals.audioBuffer);
+            updateStretchedAudio();
+            showNotes();
+            onChangeSnap();
             statusElem.textContent = "Loaded.";
+            if (document.getElementById("spectrogram-visible").checked) {
+              onChangeSpectrogram();
+            }
           }, function(error) {
             statusElem.textContent = "Failed to load: " + error;
           }
@@ -98,56 +380,242 @@ var index = {};
     if (playback.isPlaying) {
       playback.stop();
     }
+    saveUndoState();
     globals.audioBuffer = undefined;
-    notedisplay.showNotes(globals.notes, globals.audioBuffer);
+    updateStretchedAudio();
+    showNotes();
+    onChangeSnap();
     var statusElem = document.getElementById("load-audio-status");
     statusElem.textContent = "Cleared.";
   }
 
+  /**
+   * Make the stretched audio buffer match the current audio buffer and
+   * playback rate.
+   */
+  function updateStretchedAudio() {
+    if (globals.audioBuffer) {
+      globals.stretchedAudioBuffer = timestretch.stretch(
+        globals.audioContext, globals.audioBuffer, globals.playbackRate
+      );
+    } else {
+      globals.stretchedAudioBuffer = undefined;
+    }
+  }
+
+  /**
+   * Called when the playback rate slider is let go. Stop any playback or
+   * recording, then stretch the audio to the newly chosen speed.
+   */
+  function onChangePlaybackRate() {
+    if (record.isRecording) {
+      onPressStopRecord();
+    }
+    onPressPause();
+    var rateElem = document.getElementById("playback-rate");
+    var statusElem = document.getElementById("playback-rate-value");
+    globals.playbackRate = rateElem.value / 100;
+    statusElem.textContent = rateElem.value + "% (stretching...)";
+    // Give the status a chance to show before stretching blocks the page
+    setTimeout(function() {
+      updateStretchedAudio();
+      statusElem.textContent = rateElem.value + "%";
+    }, 0);
+  }
+
+  /**
+   * Called while the playback rate slider is being moved, to show the speed
+   * it would be set to.
+   */
+  function onInputPlaybackRate() {
+    var rateElem = document.getElementById("playback-rate");
+    var statusElem = document.getElementById("playback-rate-value");
+    statusElem.textContent = rateElem.value + "%";
+  }
+
   /**
    * Stop playback and start saving MIDI events from the selected input as note
-   * objects.
+   * objects for the current track, while playing back the other tracks. When
+   * punching in, recording starts the pre-roll before the punch range (and
+   * doesn't loop), and the current track is played too, except in the range.
    */
   function onPressRecord() {
+    if (!canEditTrack()) {
+      return;
+    }
     if (playback.isPlaying) {
       onPressPause();
     }
+    var punch = globals.punch;
+    if (punch) {
+      globals.time = Math.max(0, punch.start - globals.preRoll);
+      notedisplay.showTime(globals.time);
+    }
+    globals.recordingPunch = punch;
+    globals.recordingStart = globals.time;
+    var countIn = 0;
+    if (globals.grid && globals.countInBars) {
+      countIn = metronome.getCountInDuration(
+        globals.grid, globals.time, globals.countInBars
+      );
+    }
     var midiInputSelect = document.getElementById("inputs");
     var midiInputKey = midiInputSelect.value;
     var midiInput = globals.midiAccess.inputs.get(midiInputKey);
+    var loop = punch ? undefined : getActiveLoop();
+    globals.recordingLoop = loop;
     notedisplay.startContinuousTimeUpdate(function() {
-      return globals.time + record.getTime();
+      var time = globals.time + (record.getTime() * globals.playbackRate);
+      return util.getLoopedTime(time, loop);
     }, globals.time);
     var recordStartTime = record.start(midiInput);
     var playbackStartTime = playback.play({
-      notes: [],
+      tracks: getPlaybackTracks(getTrack(), punch),
       startTime: globals.time,
-      audioBuffer: globals.audioBuffer,
-      audioContext: globals.audioContext
+      audioBuffer: globals.stretchedAudioBuffer,
+      audioContext: globals.audioContext,
+      rate: globals.playbackRate,
+      loop: loop,
+      metronome: getMetronome(countIn > 0),
+      countIn: countIn
     });
     // We can't start recording with precise timing, so we instead get a close
     // estimate of when recording started, when playback started, and add the
     // difference to our time variable so that when the recorded notes get
     // merged in, they're relative to the timing heard in the original audio
-    // playback.
-    globals.time += recordStartTime - playbackStartTime;
+    // playback. Recorded times are scaled by the playback rate when merged, so
+    // the difference is scaled the same way. Playback starts after the
+    // count-in, so notes played during it come before the time.
+    globals.time += (recordStartTime - playbackStartTime) *
+      globals.playbackRate;
+  }
+
+  /**
+   * Return the loop region if playback or recording starting from the current
+   * time would repeat it (i.e. the time is before its end), or undefined
+   * otherwise.
+   */
+  function getActiveLoop() {
+    if (globals.loop && (globals.time < globals.loop.end)) {
+      return globals.loop;
+    }
+    return undefined;
+  }
+
+  /**
+   * Given a list of notes ordered by start and a range of time (object with
+   * "start" and "end" in ms), return the parts of the notes inside the range,
+   * in order: notes straddling an end of the range are cut off at it.
+   */
+  function getNotesInRange(notes, range) {
+    var notesInRange = [];
+    notes.forEach(function(note) {
+      var start = Math.max(note.start, range.start);
+      var end = Math.min(note.end, range.end);
+      if (end > start) {
+        notesInRange.push(Object.assign({}, note, {start: start, end: end}));
+      }
+    });
+    return notesInRange;
   }
 
   /**
-   * Returns true if the two notes are the same note value played before the
-   * first one finishes.
+   * Given a list of notes ordered by start and a range of time (object with
+   * "start" and "end" in ms), return the parts of the notes outside of the
+   * range, in order: notes straddling an end of the range are cut off at it,
+   * so a note held across the whole range is split in two.
+   */
+  function getNotesOutsideRange(notes, range) {
+    var notesBefore = [];
+    var notesAfter = [];
+    notes.forEach(function(note) {
+      if (note.start < range.start) {
+        notesBefore.push(Object.assign({}, note, {
+          end: Math.min(note.end, range.start)
+        }));
+      }
+      if (note.end > range.end) {
+        notesAfter.push(Object.assign({}, note, {
+          start: Math.max(note.start, range.end)
+        }));
+      }
+    });
+    return notesBefore.concat(notesAfter);
+  }
+
+  /**
+   * Given a list of control events and a range of time (object with "start"
+   * and "end" in ms), return a list of the ones outside of the range.
+   */
+  function getControlEventsOutsideRange(controlEvents, range) {
+    return controlEvents.filter(function(controlEvent) {
+      return (controlEvent.time < range.start) ||
+        (controlEvent.time > range.end);
+    });
+  }
+
+  /**
+   * Given notes recorded while looping, with times along the timeline of
+   * recording (which keeps going when the loop jumps back), return them moved
+   * into the loop region in order of start time. Each time through the loop
+   * lands on top of the others, and notes held past the end of the loop are
+   * cut off there.
+   */
+  function getNotesFoldedIntoLoop(notes, loop) {
+    return notes.map(function(note) {
+      var start = util.getLoopedTime(note.start, loop);
+      return {
+        note: note.note,
+        start: start,
+        end: Math.min(loop.end, start + (note.end - note.start)),
+        velocity: note.velocity,
+        channel: note.channel
+      };
+    }).filter(function(note) {
+      return note.end > note.start;
+    }).sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * Returns true if the two notes are the same note value on the same channel
+   * played before the first one finishes.
    */
   function areOverlapping(note1, note2) {
-    return (note1.note === note2.note) &&
+    return (note1.note === note2.note) && (note1.channel === note2.channel) &&
       ((note2.end >= note1.start) && (note1.end >= note2.start));
   }
 
+  /**
+   * Return a copy of the provided list of notes where each note that ends
+   * right as the same note value on the same channel starts again ends a
+   * little earlier (globals.REPEAT_GAP, or half its length if it's shorter),
+   * so that mergeNotes keeps the repeats separate.
+   */
+  function separateRepeatedNotes(notes) {
+    var separated = util.noteListCopy(notes);
+    separated.forEach(function(note) {
+      var isRepeated = notes.some(function(other) {
+        return (other.note === note.note) &&
+          (other.channel === note.channel) && (other.start === note.end) &&
+          (other.start > note.start);
+      });
+      if (isRepeated) {
+        note.end = Math.max(note.end - globals.REPEAT_GAP,
+          (note.start + note.end) / 2);
+      }
+    });
+    return separated;
+  }
+
   /**
    * Given two lists of notes, return one list of notes where overlapping notes
-   * (same note value and start while another is still sounding) become a single
-   * note whose duration is the union of both notes' durations. This function
-   * assumes that both note lists are in increasing order in terms of their
-   * start, and that they don't themselves contain overlaps. The reason for an
+   * (same note value and channel, and start while another is still sounding)
+   * become a single note whose duration is the union of both notes'
+   * durations. This function assumes that both note lists are in increasing
+   * order in terms of their start, and that they don't themselves contain
+   * overlaps. The reason for an
    * "old" and "new" designation is because the merged note needs a velocity, so
    * we go with the newer velocity.
    *
@@ -168,7 +636,8 @@ var index = {};
             note: mergingNote.note,
             start: Math.min(mergingNote.start, mergedNote.start),
             end: Math.max(mergingNote.end, mergedNote.end),
-            velocity: mergingNote.velocity
+            velocity: mergingNote.velocity,
+            channel: mergingNote.channel
           };
           mergedNotes.splice(merged_i, 1);
           merged_i = 0;
@@ -192,27 +661,142 @@ var index = {};
     return mergedNotes;
   }
 
+  /**
+   * Return a string naming the control a control event changes on its
+   * channel: the channel (default 0), followed by a comma and its control key
+   * (see midi.getControlKey).
+   */
+  function getChannelControlKey(controlEvent) {
+    return (controlEvent.channel || 0) + "," +
+      midi.getControlKey(controlEvent);
+  }
+
+  /**
+   * Given a list of control events in order, a list of new control events
+   * (also in order), and a range of time (object with "start" and "end" in
+   * ms) the new ones were made in, return one list of control events in
+   * order, where the old events in the range for any control the new ones
+   * change (on the same channel) are replaced by the new ones.
+   */
+  function mergeControlEvents(oldEvents, newEvents, range) {
+    var newKeys = newEvents.map(getChannelControlKey);
+    return oldEvents.filter(function(controlEvent) {
+      return !(newKeys.includes(getChannelControlKey(controlEvent)) &&
+        (controlEvent.time >= range.start) && (controlEvent.time <= range.end));
+    }).concat(newEvents).sort(function(a, b) {
+      return a.time - b.time;
+    });
+  }
+
   /**
    * Stop recording any more incoming MIDI events. If there are any hanging
    * notes left (i.e. notes that had NoteOn but no NoteOff), save them as though
-   * they just got a NoteOff. Merge the newly recorded notes with the ones that
-   * were already recorded, combining overlapping notes to be a single note
-   * covering the union of their duration.
+   * they just got a NoteOff. Keep the newly recorded notes and control events
+   * as a new take of the current track (see createTrack), which is used in
+   * its comp over the time recorded. When punching in, only what was recorded
+   * in the punch range is kept (cut off at its ends), and it replaces what
+   * the track played in the part of the range recorded over.
    */
   function onPressStopRecord() {
     if (record.isRecording) {
+      var punch = globals.recordingPunch;
+      var stopTime = globals.time + (record.getTime() * globals.playbackRate);
       var recordedNotes = record.stop();
+      var recordedEvents = record.controlEvents;
       notedisplay.stopContinuousTimeUpdate();
+      // Notes were played along with audio at the playback rate, so scale
+      // their times to be relative to the audio at normal speed
       recordedNotes.forEach(function(note) {
-        note.start += globals.time;
-        note.end += globals.time;
+        note.start = (note.start * globals.playbackRate) + globals.time;
+        note.end = (note.end * globals.playbackRate) + globals.time;
+      });
+      recordedEvents.forEach(function(controlEvent) {
+        controlEvent.time = (controlEvent.time * globals.playbackRate) +
+          globals.time;
+      });
+      // Anything played during the count-in (like a pickup) starts the
+      // recorded range early
+      var recordedRange = {
+        start: recordedNotes.reduce(function(start, note) {
+          return Math.min(start, note.start);
+        }, globals.recordingStart),
+        end: Math.max(globals.time, util.getMaxTime(recordedNotes))
+      };
+      if (recordedEvents.length) {
+        recordedRange.start = Math.min(
+          recordedRange.start, recordedEvents[0].time
+        );
+        recordedRange.end = Math.max(
+          recordedRange.end, recordedEvents[recordedEvents.length - 1].time
+        );
+      }
+      var loop = globals.recordingLoop;
+      if (loop) {
+        // Each time through the loop is kept, all merged together
+        recordedNotes = getNotesFoldedIntoLoop(recordedNotes, loop);
+        recordedEvents.forEach(function(controlEvent) {
+          controlEvent.time = util.getLoopedTime(controlEvent.time, loop);
+        });
+        recordedRange = loop;
+      }
+      // Controls changed before the start are already in place at it
+      recordedEvents.forEach(function(controlEvent) {
+        controlEvent.time = Math.max(0, controlEvent.time);
       });
-      globals.notes = mergeNotes(globals.notes, recordedNotes);
-      notedisplay.showNotes(globals.notes, globals.audioBuffer);
-      // When we subtracted the difference between the start of the recording
-      // and the start of playback, we could end up with a negative start time,
-      // so reset it to 0 now that the offset has been applied.
-      globals.time = Math.max(0, globals.time);
+      // Notes played before the start (like a pickup during a count-in from
+      // it) are cut off at it
+      recordedNotes = getNotesInRange(
+        recordedNotes, {start: 0, end: Infinity}
+      );
+      recordedRange = {
+        start: Math.max(0, recordedRange.start),
+        end: recordedRange.end
+      };
+      var punchedRange = undefined;
+      if (punch && (stopTime > punch.start)) {
+        punchedRange = {start: punch.start, end: Math.min(punch.end, stopTime)};
+        recordedNotes = getNotesInRange(recordedNotes, punchedRange);
+        recordedEvents = recordedEvents.filter(function(controlEvent) {
+          return (controlEvent.time >= punchedRange.start) &&
+            (controlEvent.time <= punchedRange.end);
+        });
+        recordedRange = punchedRange;
+      } else if (punch) {
+        // Stopped before punching in, so nothing is kept
+        recordedNotes = [];
+        recordedEvents = [];
+      }
+      // The time was moved back by the difference between the start of the
+      // recording and the start of playback (and the count-in), so put it back
+      // where recording started from now that the offset has been applied.
+      globals.time = globals.recordingStart;
+      var track = getTrack();
+      var isRecorded = recordedNotes.length || recordedEvents.length;
+      if (isRecorded || punchedRange) {
+        saveUndoState();
+      }
+      if (punchedRange) {
+        track.notes = getNotesOutsideRange(track.notes, punchedRange);
+        track.controlEvents = getControlEventsOutsideRange(
+          track.controlEvents, punchedRange
+        );
+        track.comp = getCompWithRange(track.comp, punchedRange, undefined);
+        showTracks();
+      }
+      if (isRecorded) {
+        track.takes = track.takes.concat([{
+          name: "Take " + (track.takes.length + 1),
+          time: Date.now(),
+          range: {start: recordedRange.start, end: recordedRange.end},
+          notes: mergeNotes([], recordedNotes),
+          controlEvents: mergeControlEvents([], recordedEvents, recordedRange)
+        }]);
+        track.comp = getCompWithRange(
+          track.comp, recordedRange, track.takes.length - 1
+        );
+        globals.auditionTake = undefined;
+        showTracks();
+      }
       notedisplay.showTime(globals.time);
     }
     if (playback.isPlaying) {
@@ -230,27 +814,125 @@ var index = {};
   }
 
   /**
-   * Forget all recorded notes and reset the time bar.
+   * Forget all of the current track's notes, control events, and takes and
+   * reset the time bar. Nothing is saved to undo if there was nothing to
+   * forget.
    */
   function onPressClear() {
+    if (!canEditTrack()) {
+      return;
+    }
+    var track = getTrack();
+    if (!(track.notes.length || track.controlEvents.length ||
+        track.takes.length)) {
+      onPressStopPlay();
+      return;
+    }
+    saveUndoState();
     onPressStopPlay();
-    globals.notes = [];
-    notedisplay.showNotes(globals.notes, globals.audioBuffer);
+    track.notes = [];
+    track.controlEvents = [];
+    track.takes = [];
+    track.comp = [];
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Return the MIDIOutput object (or the built-in synth, which can be used the
+   * same way) corresponding to the provided value of an option in the outputs
+   * list, or undefined if it isn't available.
+   */
+  function getMidiOut(midiOutputKey) {
+    if (midiOutputKey === globals.SYNTH_OUTPUT_KEY) {
+      return globals.synthOutput;
+    } else if (globals.midiAccess) {
+      return globals.midiAccess.outputs.get(midiOutputKey);
+    } else {
+      return undefined;
+    }
   }
 
   /**
-   * Return the MIDIOutput object corresponding to the choice currently
-   * selected.
+   * Return the MIDIOutput object (or the built-in synth) corresponding to the
+   * choice currently selected in the outputs list.
    */
   function getSelectedMidiOut() {
-    var midiOutputSelect = document.getElementById("outputs");
-    var midiOutputKey = midiOutputSelect.value;
-    return globals.midiAccess.outputs.get(midiOutputKey);
+    return getMidiOut(document.getElementById("outputs").value);
+  }
+
+  /**
+   * Return the MIDIOutput object (or the built-in synth) the provided track
+   * plays through: its own output, or the one selected in the outputs list if
+   * it has none or it isn't available.
+   */
+  function getTrackMidiOut(track) {
+    return (track.outputKey && getMidiOut(track.outputKey)) ||
+      getSelectedMidiOut();
+  }
+
+  /**
+   * Return a list of the tracks to play back (see playback.play): the soloed
+   * tracks if there are any, or else the ones that aren't muted, leaving out
+   * the provided track (if any) and any without an output to play through.
+   * If a punch range (object with "start" and "end" in ms) is provided, the
+   * provided track is played too, except for the range.
+   */
+  function getPlaybackTracks(exceptTrack, punch) {
+    var isAnySoloed = globals.tracks.some(function(track) {
+      return track.isSoloed;
+    });
+    var playbackTracks = [];
+    globals.tracks.forEach(function(track) {
+      var midiOut = getTrackMidiOut(track);
+      var isPunching = (track === exceptTrack) && punch;
+      if (((track === exceptTrack) && !punch) || !midiOut ||
+          (isAnySoloed ? !track.isSoloed : track.isMuted)) {
+        return;
+      }
+      var notes = getPlayedNotes(track);
+      var controlEvents = getPlayedControlEvents(track);
+      if (isPunching) {
+        notes = getNotesOutsideRange(notes, punch);
+        controlEvents = getControlEventsOutsideRange(controlEvents, punch);
+      }
+      playbackTracks.push({
+        notes: notes,
+        controlEvents: controlEvents,
+        midiOut: midiOut,
+        channel: track.channel
+      });
+    });
+    return playbackTracks;
+  }
+
+  /**
+   * This function is called by notedisplay when a user clicks a key of the
+   * keyboard. We play that note briefly on the current track's MIDI output
+   * and channel.
+   */
+  function onAuditionNote(note) {
+    var track = getTrack();
+    var midiOut = getTrackMidiOut(track);
+    if (!midiOut) {
+      return;
+    }
+    var now = performance.now();
+    midi.sendNote({
+      "midiOutput": midiOut,
+      "onTime": now,
+      "offTime": now + globals.AUDITION_DURATION,
+      "note": note,
+      "velocity": globals.AUDITION_VELOCITY,
+      "channel": (track.channel === undefined) ? globals.channel :
+        track.channel
+    });
   }
 
   /**
    * Stop recording and start sending MIDI events out for all of the recorded
-   * notes.
+   * notes of the tracks to play back (see getPlaybackTracks), each to its own
+   * output.
    */
   function onPressPlay() {
     if (playback.isPlaying) {
@@ -265,11 +947,13 @@ var index = {};
     } else {
       notedisplay.startContinuousTimeUpdate(playback.getTime, globals.time);
       playback.play({
-        notes: globals.notes,
-        midiOut: playbackMidiOut,
+        tracks: getPlaybackTracks(),
         startTime: globals.time,
-        audioBuffer: globals.audioBuffer,
+        audioBuffer: globals.stretchedAudioBuffer,
         audioContext: globals.audioContext,
+        rate: globals.playbackRate,
+        loop: getActiveLoop(),
+        metronome: getMetronome(false),
         stopCallback: function() {
           notedisplay.stopContinuousTimeUpdate();
           globals.time = 0;
@@ -279,6 +963,37 @@ var index = {};
     }
   }
 
+  /**
+   * Return the metronome to play along with playback (see playback.play), or
+   * undefined if the metronome is off or there's no grid for it to click
+   * along with. If counting in, a metronome that only clicks during the
+   * count-in is returned when the metronome is off.
+   */
+  function getMetronome(isCountingIn) {
+    if (!globals.grid || !(globals.isMetronomeOn || isCountingIn)) {
+      return undefined;
+    }
+    return {
+      grid: globals.grid,
+      volume: globals.metronomeVolume,
+      isCountInOnly: !globals.isMetronomeOn
+    };
+  }
+
+  /**
+   * Called when any of the metronome inputs change, to use their settings.
+   */
+  function onChangeMetronome() {
+    globals.isMetronomeOn = document.getElementById("metronome").checked;
+    globals.metronomeVolume =
+      document.getElementById("metronome-volume").value / 100;
+    globals.countInBars = Number(document.getElementById("count-in").value);
+    var isClicking = globals.isMetronomeOn || globals.countInBars;
+    document.getElementById("metronome-status").textContent =
+      (isClicking && !globals.grid) ?
+        "Turn on the grid to set the metronome's tempo." : "";
+  }
+
   /**
    * Stop playback and save the position for starting at the same time next
    * play.
@@ -303,125 +1018,790 @@ var index = {};
   }
 
   /**
-   * Send a MIDI panic signal out - AKA a NoteOff message to every single note.
-   * This will silence any lingering notes waiting for a NoteOff.
+   * Send a MIDI panic signal out - AKA a NoteOff message to every single note -
+   * to the selected output and those of the tracks. This will silence any
+   * lingering notes waiting for a NoteOff.
    */
   function onPressPanic() {
-    midi.panic(getSelectedMidiOut());
+    var midiOuts = new Set([getSelectedMidiOut()]);
+    globals.tracks.forEach(function(track) {
+      midiOuts.add(getTrackMidiOut(track));
+    });
+    midiOuts.forEach(function(midiOut) {
+      if (midiOut) {
+        midi.panic(midiOut);
+      }
+    });
   }
 
   /**
-   * Download the notes as a json file.
+   * Make the browser download the provided Blob as a file with the provided
+   * name.
    */
-  function onPressSave() {
+  function downloadBlob(blob, filename) {
     var a = document.createElement('a');
-    var notesJson = JSON.stringify(globals.notes);
-    var notesBlob = new Blob([notesJson], {type: 'application/json'});
-    a.href = window.URL.createObjectURL(notesBlob);
-    a.download = 'notes.json';
+    a.href = window.URL.createObjectURL(blob);
+    a.download = filename;
     a.click();
   }
 
   /**
-   * Parse the json list of notes, making sure that each note has a start, end,
-   * note, and velocity that make sense (nonnegative, end > start), and that the
-   * order also makes sense (ascending starts and no overlap).
+   * Download the tracks (with their notes and control events) and grid (if
+   * there is one) as a json file.
    */
-  function onPressLoadNotes() {
-    var statusElem = document.getElementById("load-notes-status");
-    statusElem.textContent = "Loading...";
-    var fileElem = document.getElementById("notes-file");
-    if (fileElem.files.length < 1) {
-      statusElem.textContent = "Please choose a file to upload.";
-    } else {
-      var reader = new FileReader();
-      reader.onload = function() {
-        var notes = null;
-        try {
-          notes = JSON.parse(reader.result);
-        } catch (e) {
-          statusElem.textContent = "Failed to parse notes (json): " + e.message;
+  function onPressSave() {
+    var notesJson = JSON.stringify({
+      tracks: globals.tracks,
+      grid: globals.grid
+    });
+    var notesBlob = new Blob([notesJson], {type: 'application/json'});
+    downloadBlob(notesBlob, 'notes.json');
+  }
+
+  /**
+   * Download the notes and control events each track plays (see
+   * getPlayedNotes) as a Standard MIDI File, with a MIDI track for each.
+   */
+  function onPressSaveMidi() {
+    // Without a grid, the notes are written at the default tempo as they are
+    var beatGrid = globals.grid || grid.getDefault();
+    var midiBytes = midifile.write({
+      tracks: globals.tracks.map(function(track) {
+        return {
+          name: track.name,
+          notes: getPlayedNotes(track),
+          controlEvents: getPlayedControlEvents(track),
+          channel: track.channel
+        };
+      }),
+      tempos: grid.getTempos(beatGrid),
+      beatsPerBar: beatGrid.beatsPerBar,
+      beatUnit: beatGrid.beatUnit
+    });
+    var midiBlob = new Blob([midiBytes], {type: 'audio/midi'});
+    downloadBlob(midiBlob, 'notes.mid');
+  }
+
+  /**
+   * Return true if the provided value is a MIDI channel (an integer from 0 to
+   * 15).
+   */
+  function isChannel(value) {
+    return Number.isInteger(value) && (value >= 0) && (value <= 15);
+  }
+
+  /**
+   * Given a list of notes read from a file, make sure that each note has a
+   * start, end, note, and velocity that make sense (nonnegative, end > start),
+   * along with a channel from 0 to 15 (notes saved before channels were kept
+   * get channel 0), and that the order also makes sense (ascending starts and
+   * no overlap). Each note is replaced in the list by a copy with only those
+   * attributes. Return a description of the first problem found, or undefined
+   * if there were none.
+   */
+  function validateNotes(notes) {
+    if (!Array.isArray(notes)) {
+      return "Notes are not a list.";
+    }
+    for (var i=0; i<notes.length; i++) {
+      if ((typeof notes[i] !== 'object') || (notes[i] === null)) {
+        return "Note " + i + " is not an object";
+      }
+      var props = ["start", "end", "note", "velocity"];
+      for (var propI=0; propI<props.length; propI++) {
+        var prop = props[propI];
+        if (!notes[i].hasOwnProperty(prop)) {
+          return "Note " + i + " missing property " + prop + ".";
         }
-        if (notes) {
-          noteloop:
-          for (var i=0; i<notes.length; i++) {
-            var props = ["start", "end", "note", "velocity"];
-            for (var propI=0; propI<props.length; propI++) {
-              var prop = props[propI];
-              if (!notes[i].hasOwnProperty(prop)) {
-                statusElem.textContent = "Failed to parse notes: Note " + i +
-                  " missing property " + prop + ".";
-                break noteloop;
-              }
-              var type = typeof notes[i][prop];
-              if (type !== 'number') {
-                statusElem.textContent = "Failed to parse notes: Note " + i +
-                  " property " + prop + " is not a number, but a " + type;
-                break noteloop;
-              }
-              if (notes[i][prop] < 0) {
-                statusElem.textContent = "Failed to parse notes: Note " + i +
-                  " property " + prop + " is negative";
-                break noteloop;
-              }
-            }
-            notes[i] = {
-              start: notes[i].start,
-              end: notes[i].end,
-              note: notes[i].note,
-              velocity: notes[i].velocity
-            };
-            if (notes[i].end <= notes[i].start) {
-              statusElem.textContent = "Failed to parse notes: Note " + i +
-                " end was not after start";
-              break;
-            }
-            if (i && (notes[i].start < notes[i-1].start)) {
-              statusElem.textContent = "Failed to parse notes: Note " + i +
-                " out of order";
-              break;
-            }
-            for (var j=i+1; j<notes.length; j++) {
-              if (areOverlapping(notes[i], notes[j])) {
-                statusElem.textContent = "Failed to parse notes: Notes " + i +
-                  " and " + j + " are overlapping";
-                break noteloop;
-              }
-            }
-          }
-          if (statusElem.textContent === "Loading...") {
-            globals.notes = notes;
-            notedisplay.showNotes(notes, globals.audioBuffer);
-            statusElem.textContent = "Loaded.";
-          }
+        var type = typeof notes[i][prop];
+        if (type !== 'number') {
+          return "Note " + i + " property " + prop +
+            " is not a number, but a " + type;
         }
+        if (notes[i][prop] < 0) {
+          return "Note " + i + " property " + prop + " is negative";
+        }
+      }
+      var channel = (notes[i].channel === undefined) ? 0 : notes[i].channel;
+      if (!isChannel(channel)) {
+        return "Note " + i + " channel is not from 0 to 15";
+      }
+      notes[i] = {
+        start: notes[i].start,
+        end: notes[i].end,
+        note: notes[i].note,
+        velocity: notes[i].velocity,
+        channel: channel
       };
-      reader.readAsText(fileElem.files[0]);
+      if (notes[i].end <= notes[i].start) {
+        return "Note " + i + " end was not after start";
+      }
+      if (i && (notes[i].start < notes[i-1].start)) {
+        return "Note " + i + " out of order";
+      }
+      // Notes before this one have already been given their channel
+      for (var j=0; j<i; j++) {
+        if (areOverlapping(notes[j], notes[i])) {
+          return "Notes " + j + " and " + i + " are overlapping";
+        }
+      }
     }
+    return undefined;
   }
 
   /**
-   * Shows or hides the key bindings section.
+   * Given a list of control events read from a file, make sure that each has
+   * a time (nonnegative), type, controller (for "controlChange"), value, and
+   * channel (defaulting to 0, like notes) that make sense, and that they're
+   * ordered by time. Each event is replaced
+   * in the list by a copy with only those attributes. Return a description of
+   * the first problem found, or undefined if there were none.
    */
-  function onClickKeysToggle() {
-    if (this.innerText === "[show]") {
-      this.nextSibling.nextSibling.style.display = "block";
-      this.innerText = "[hide]";
-    } else {
-      this.nextSibling.nextSibling.style.display = "none";
-      this.innerText = "[show]";
+  function validateControlEvents(controlEvents) {
+    if (!Array.isArray(controlEvents)) {
+      return "Control events are not a list.";
+    }
+    var types = ["controlChange", "pitchBend", "channelPressure"];
+    for (var i=0; i<controlEvents.length; i++) {
+      var controlEvent = controlEvents[i];
+      if ((typeof controlEvent !== 'object') || (controlEvent === null)) {
+        return "Control event " + i + " is not an object";
+      }
+      if ((typeof controlEvent.time !== 'number') ||
+          !(controlEvent.time >= 0)) {
+        return "Control event " + i + " time is not a nonnegative number";
+      }
+      if (!types.includes(controlEvent.type)) {
+        return "Control event " + i + " has an unknown type";
+      }
+      var isControlChange = controlEvent.type === "controlChange";
+      if (isControlChange && !(Number.isInteger(controlEvent.controller) &&
+          (controlEvent.controller >= 0) && (controlEvent.controller <= 127))) {
+        return "Control event " + i + " controller is not from 0 to 127";
+      }
+      var maxValue = midi.getControlEventMaxValue(controlEvent.type);
+      if (!(Number.isInteger(controlEvent.value) && (controlEvent.value >= 0) &&
+          (controlEvent.value <= maxValue))) {
+        return "Control event " + i + " value is not from 0 to " + maxValue;
+      }
+      var channel = (controlEvent.channel === undefined) ? 0 :
+        controlEvent.channel;
+      if (!isChannel(channel)) {
+        return "Control event " + i + " channel is not from 0 to 15";
+      }
+      controlEvents[i] = {
+        time: controlEvent.time,
+        type: controlEvent.type,
+        value: controlEvent.value,
+        channel: channel
+      };
+      if (isControlChange) {
+        controlEvents[i].controller = controlEvent.controller;
+      }
+      if (i && (controlEvent.time < controlEvents[i-1].time)) {
+        return "Control event " + i + " out of order";
+      }
     }
+    return undefined;
   }
 
   /**
-   * Set up the functions to get called when a user clicks on record, play, etc.
+   * Given the list of takes and the comp (see createTrack) of a track read
+   * from a file, make sure that each take has a name, a time recorded, notes,
+   * and control events that make sense, and that each range of the comp has
+   * a start and end (in order) and the index of one of the takes. Each take
+   * is replaced in the list by a copy with only those attributes, and each
+   * range likewise. Return a description of the first problem found, or
+   * undefined if there were none.
    */
-  function initEventListeners() {
-    var refreshInputsButton = document.getElementById("refresh-inputs");
-    refreshInputsButton.addEventListener("click", onPressRefreshInputs);
-    var refreshOutputsButton = document.getElementById("refresh-outputs");
-    refreshOutputsButton.addEventListener("click", onPressRefreshOutputs);
-    var loadAudioButton = document.getElementById("load-audio");
+  function validateTakes(takes, comp) {
+    if (!Array.isArray(takes)) {
+      return "Takes are not a list.";
+    }
+    for (var i=0; i<takes.length; i++) {
+      var take = takes[i];
+      if ((typeof take !== 'object') || (take === null)) {
+        return "Take " + i + " is not an object";
+      }
+      if (typeof take.name !== 'string') {
+        return "Take " + i + " name is not text";
+      }
+      if (typeof take.time !== 'number') {
+        return "Take " + i + " time is not a number";
+      }
+      var error = validateNotes(take.notes) ||
+        validateControlEvents(take.controlEvents);
+      if (error) {
+        return "Take " + i + ": " + error;
+      }
+      // Takes saved before their range was kept cover everything up to their
+      // end
+      var range = take.range || {start: 0, end: getTakeEnd(take)};
+      if ((typeof range !== 'object') || !(range.start >= 0) ||
+          !(range.end >= range.start)) {
+        return "Take " + i + " range does not start at 0 or later and end " +
+          "after it";
+      }
+      takes[i] = {
+        name: take.name,
+        time: take.time,
+        range: {start: range.start, end: range.end},
+        notes: take.notes,
+        controlEvents: take.controlEvents
+      };
+    }
+    if (!Array.isArray(comp)) {
+      return "Comp is not a list.";
+    }
+    for (var i=0; i<comp.length; i++) {
+      var part = comp[i];
+      if ((typeof part !== 'object') || (part === null)) {
+        return "Comp range " + i + " is not an object";
+      }
+      if (!(part.start >= 0) || !(part.end >= part.start)) {
+        return "Comp range " + i + " does not start at 0 or later and end " +
+          "after it";
+      }
+      if (!Number.isInteger(part.take) || (part.take < 0) ||
+          (part.take >= takes.length)) {
+        return "Comp range " + i + " take is not one of the takes";
+      }
+      if (i && (part.start < comp[i-1].start)) {
+        return "Comp range " + i + " out of order";
+      }
+      comp[i] = {start: part.start, end: part.end, take: part.take};
+    }
+    return undefined;
+  }
+
+  /**
+   * Given a list of tracks read from a file, make sure that each is an object
+   * with a name, a color (like "#1f77b4"), an output key, a channel (if any),
+   * mute, solo, hide, and lock states, notes (see validateNotes), control
+   * events (see validateControlEvents), and takes and a comp (see
+   * validateTakes; tracks saved before takes were kept get none) that make
+   * sense. Each track is replaced in the list by a copy with only those
+   * attributes. Return a description of the first problem found, or
+   * undefined if there were none.
+   */
+  function validateTracks(tracks) {
+    if (!Array.isArray(tracks) || !tracks.length) {
+      return "Tracks are not a list of at least one track.";
+    }
+    for (var i=0; i<tracks.length; i++) {
+      var track = tracks[i];
+      if ((typeof track !== 'object') || (track === null)) {
+        return "Track " + i + " is not an object";
+      }
+      if (typeof track.name !== 'string') {
+        return "Track " + i + " name is not text";
+      }
+      if (!/^#[0-9a-fA-F]{6}$/.test(track.color)) {
+        return "Track " + i + " color is not like #1f77b4";
+      }
+      if (typeof track.outputKey !== 'string') {
+        return "Track " + i + " output key is not text";
+      }
+      if ((track.channel !== undefined) && !isChannel(track.channel)) {
+        return "Track " + i + " channel is not from 0 to 15";
+      }
+      var props = ["isMuted", "isSoloed", "isHidden", "isLocked"];
+      for (var propI=0; propI<props.length; propI++) {
+        if (typeof track[props[propI]] !== 'boolean') {
+          return "Track " + i + " property " + props[propI] +
+            " is not true or false";
+        }
+      }
+      var takes = (track.takes === undefined) ? [] : track.takes;
+      var comp = (track.comp === undefined) ? [] : track.comp;
+      var error = validateNotes(track.notes) ||
+        validateControlEvents(track.controlEvents) ||
+        validateTakes(takes, comp);
+      if (error) {
+        return "Track " + i + ": " + error;
+      }
+      tracks[i] = {
+        name: track.name,
+        color: track.color,
+        notes: track.notes,
+        controlEvents: track.controlEvents,
+        outputKey: track.outputKey,
+        channel: track.channel,
+        isMuted: track.isMuted,
+        isSoloed: track.isSoloed,
+        isHidden: track.isHidden,
+        isLocked: track.isLocked,
+        takes: takes,
+        comp: comp
+      };
+    }
+    return undefined;
+  }
+
+  /**
+   * Given the contents of a notes file as a Uint8Array, return an object with
+   * the "tracks" it holds (see createTrack) and its "grid" (undefined if it
+   * has none), or throw an Error describing why it couldn't be read. A
+   * Standard MIDI File gets a track for each of its tracks with notes or
+   * control events, with overlapping notes combined the same way as recorded
+   * ones (but repeats of a note starting right as it ends kept separate, see
+   * separateRepeatedNotes), while anything else is parsed as json: either an
+   * object like the one returned, or one with the "notes" and "controlEvents"
+   * (which may be missing, as saved before they were recorded) of a single
+   * track (as saved before tracks existed), or just a list of notes (as saved
+   * before grids existed).
+   */
+  function readNotesFile(bytes) {
+    if (midifile.isMidiFile(bytes)) {
+      try {
+        var read = midifile.read(bytes);
+      } catch (e) {
+        throw new Error("Failed to parse notes (midi): " + e.message);
+      }
+      var tracks = read.tracks.map(function(readTrack, i) {
+        var track = createTrack(i);
+        track.name = readTrack.name || track.name;
+        track.notes = mergeNotes([],
+          separateRepeatedNotes(readTrack.notes));
+        track.controlEvents = readTrack.controlEvents;
+        return track;
+      });
+      return {
+        tracks: tracks.length ? tracks : [createTrack(0)],
+        grid: undefined
+      };
+    } else {
+      try {
+        var saved = JSON.parse(new TextDecoder().decode(bytes));
+      } catch (e) {
+        throw new Error("Failed to parse notes (json): " + e.message);
+      }
+      var track = createTrack(0);
+      if (Array.isArray(saved) || (typeof saved !== "object") ||
+          (saved === null)) {
+        track.notes = saved;
+        return {tracks: [track], grid: undefined};
+      }
+      if (saved.tracks !== undefined) {
+        return {tracks: saved.tracks, grid: saved.grid};
+      }
+      track.notes = saved.notes;
+      if (saved.controlEvents !== undefined) {
+        track.controlEvents = saved.controlEvents;
+      }
+      return {tracks: [track], grid: saved.grid};
+    }
+  }
+
+  /**
+   * Parse the chosen file (json or Standard MIDI File) into a list of tracks,
+   * and if they're valid, replace the current tracks (and grid, if the file
+   * has one) with them.
+   */
+  function onPressLoadNotes() {
+    var statusElem = document.getElementById("load-notes-status");
+    statusElem.textContent = "Loading...";
+    var fileElem = document.getElementById("notes-file");
+    if (fileElem.files.length < 1) {
+      statusElem.textContent = "Please choose a file to upload.";
+    } else {
+      var reader = new FileReader();
+      reader.onload = function() {
+        try {
+          var saved = readNotesFile(new Uint8Array(reader.result));
+        } catch (e) {
+          statusElem.textContent = e.message;
+          return;
+        }
+        var error = validateTracks(saved.tracks);
+        if (!error && (saved.grid !== undefined)) {
+          error = grid.validate(saved.grid);
+        }
+        if (error) {
+          statusElem.textContent = "Failed to parse notes: " + error;
+        } else {
+          saveUndoState();
+          globals.tracks = saved.tracks;
+          globals.trackIndex = 0;
+          globals.auditionTake = undefined;
+          // Files without a grid keep the current one
+          if (saved.grid !== undefined) {
+            setGrid(saved.grid);
+          }
+          showTracks();
+          statusElem.textContent = "Loaded.";
+        }
+      };
+      reader.readAsArrayBuffer(fileElem.files[0]);
+    }
+  }
+
+  /**
+   * Zoom the display's time in.
+   */
+  function onPressZoomIn() {
+    notedisplay.zoomTime(2);
+  }
+
+  /**
+   * Zoom the display's time out.
+   */
+  function onPressZoomOut() {
+    notedisplay.zoomTime(0.5);
+  }
+
+  /**
+   * Make the display's notes taller.
+   */
+  function onPressZoomTaller() {
+    notedisplay.zoomPitch(1);
+  }
+
+  /**
+   * Make the display's notes shorter.
+   */
+  function onPressZoomShorter() {
+    notedisplay.zoomPitch(-1);
+  }
+
+  /**
+   * Show or hide the spectrogram behind the notes, using the brightness and
+   * contrast currently chosen.
+   */
+  function onChangeSpectrogram() {
+    var statusElem = document.getElementById("spectrogram-status");
+    var visible = document.getElementById("spectrogram-visible").checked;
+    if (visible && !globals.audioBuffer) {
+      statusElem.textContent = "Load audio to see its spectrogram.";
+    } else if (visible) {
+      statusElem.textContent = "Computing...";
+    } else {
+      statusElem.textContent = "";
+    }
+    notedisplay.showSpectrogram({
+      visible: visible,
+      brightness: Number(
+        document.getElementById("spectrogram-brightness").value
+      ),
+      contrast: Number(document.getElementById("spectrogram-contrast").value)
+    }).then(function() {
+      if (statusElem.textContent === "Computing...") {
+        statusElem.textContent = "";
+      }
+    }, function(error) {
+      statusElem.textContent = "Failed to compute spectrogram: " +
+        error.message;
+    });
+  }
+
+  /**
+   * Make the provided grid (which may be undefined) the current one, and show
+   * it in the grid inputs and on the display. While the grid has a tempo map,
+   * its BPM and offset come from the map, so they can't be edited.
+   */
+  function setGrid(newGrid) {
+    globals.grid = newGrid;
+    document.getElementById("grid-visible").checked = Boolean(newGrid);
+    if (newGrid) {
+      document.getElementById("grid-bpm").value = newGrid.bpm;
+      document.getElementById("grid-beats-per-bar").value = newGrid.beatsPerBar;
+      document.getElementById("grid-beat-unit").value = newGrid.beatUnit;
+      document.getElementById("grid-offset").value = newGrid.offset;
+    }
+    var hasTempoMap = Boolean(newGrid && newGrid.beats);
+    document.getElementById("grid-bpm").disabled = hasTempoMap;
+    document.getElementById("grid-offset").disabled = hasTempoMap;
+    document.getElementById("grid-offset-to-time").disabled = hasTempoMap;
+    document.getElementById("clear-tempo-map").disabled = !hasTempoMap;
+    document.getElementById("grid-status").textContent = hasTempoMap ?
+      "Tempo map of " + newGrid.beats.length + " beats (BPM is the average)" :
+      "";
+    notedisplay.showGrid(newGrid);
+    // The metronome needs a grid to click along with
+    onChangeMetronome();
+  }
+
+  /**
+   * Called when any of the grid inputs change; if the grid is turned on and
+   * its values are valid, make it the current grid.
+   */
+  function onChangeGrid() {
+    var newGrid;
+    if (document.getElementById("grid-visible").checked) {
+      newGrid = {
+        bpm: Number(document.getElementById("grid-bpm").value),
+        beatsPerBar: Number(
+          document.getElementById("grid-beats-per-bar").value
+        ),
+        beatUnit: Number(document.getElementById("grid-beat-unit").value),
+        offset: Number(document.getElementById("grid-offset").value)
+      };
+      if (globals.grid && globals.grid.beats) {
+        newGrid.beats = globals.grid.beats;
+      }
+      var error = grid.validate(newGrid);
+      if (error) {
+        document.getElementById("grid-status").textContent = error;
+        return;
+      }
+    }
+    saveUndoState();
+    setGrid(newGrid);
+  }
+
+  /**
+   * Move the first beat of bar 1 to the time bar.
+   */
+  function onPressGridOffsetToTime() {
+    document.getElementById("grid-offset").value = Math.round(globals.time);
+    onChangeGrid();
+  }
+
+  /**
+   * Called by notedisplay when the user drags a beat of the tempo map, making
+   * the provided grid the current one.
+   */
+  function onSetGrid(newGrid) {
+    saveUndoState();
+    setGrid(newGrid);
+  }
+
+  /**
+   * Given a list of tapped beat times (ms, increasing, at least 2), make a
+   * grid with them as its tempo map the current one. The taps replace the
+   * beats of the current tempo map they cover (up to half a beat past each
+   * end), and the rest of its beats are kept.
+   */
+  function setTappedBeats(tapTimes) {
+    var first = tapTimes[0];
+    var last = tapTimes[tapTimes.length - 1];
+    var before = first - ((tapTimes[1] - first) / 2);
+    var after = last + ((last - tapTimes[tapTimes.length - 2]) / 2);
+    var oldBeats = (globals.grid && globals.grid.beats) || [];
+    var beats = oldBeats.filter(function(beat) {
+      return beat < before;
+    }).concat(tapTimes, oldBeats.filter(function(beat) {
+      return beat > after;
+    }));
+    saveUndoState();
+    setGrid(grid.fromBeats(beats, globals.grid));
+  }
+
+  /**
+   * Called when the user taps a beat (with the tap key or the sustain pedal).
+   * If tapping beats during playback, save the playback's current time as a
+   * beat. A tap earlier than the last one (like after playback loops back)
+   * starts the taps over.
+   */
+  function onTap() {
+    if (!globals.tapTimes || !playback.isPlaying) {
+      return;
+    }
+    var time = playback.getTime();
+    var lastTime = globals.tapTimes[globals.tapTimes.length - 1];
+    if (time <= lastTime) {
+      globals.tapTimes = [];
+    }
+    globals.tapTimes.push(time);
+    document.getElementById("grid-status").textContent =
+      globals.tapTimes.length + " beats tapped";
+  }
+
+  /**
+   * Handler for MIDI events from the input listened to while tapping beats;
+   * pressing the sustain pedal down taps a beat.
+   */
+  function onTapMidiMessage(midiEvent) {
+    var midiMsg = midiEvent.data;
+    if (((midiMsg[0] >> 4) !== midi.CONTROL_CHANGE_START) ||
+        (midiMsg[1] !== midi.SUSTAIN_CONTROLLER)) {
+      return;
+    }
+    var isDown = midiMsg[2] >= 64;
+    if (isDown && !globals.isTapPedalDown) {
+      onTap();
+    }
+    globals.isTapPedalDown = isDown;
+  }
+
+  /**
+   * Start or stop tapping beats. While tapping, beats can be tapped during
+   * playback with the tap key or the selected MIDI input's sustain pedal;
+   * once stopped, the tapped beats become the tempo map.
+   */
+  function onChangeTapBeats() {
+    var statusElem = document.getElementById("grid-status");
+    if (document.getElementById("tap-beats").checked) {
+      globals.tapTimes = [];
+      if (globals.midiAccess) {
+        globals.tapMidiInput = globals.midiAccess.inputs.get(
+          document.getElementById("inputs").value
+        );
+      }
+      if (globals.tapMidiInput) {
+        globals.tapMidiInput.addEventListener(
+          "midimessage", onTapMidiMessage
+        );
+      }
+      globals.isTapPedalDown = false;
+      statusElem.textContent = "Play and tap along with the beat.";
+      return;
+    }
+    var tapTimes = globals.tapTimes;
+    globals.tapTimes = undefined;
+    if (globals.tapMidiInput) {
+      globals.tapMidiInput.removeEventListener(
+        "midimessage", onTapMidiMessage
+      );
+      globals.tapMidiInput = undefined;
+    }
+    if (tapTimes.length < 2) {
+      statusElem.textContent = "Tap at least 2 beats during playback.";
+    } else {
+      setTappedBeats(tapTimes);
+    }
+  }
+
+  /**
+   * Find the beats in the loaded audio and make them the tempo map.
+   */
+  function onPressFindBeats() {
+    var statusElem = document.getElementById("grid-status");
+    if (!globals.audioBuffer) {
+      statusElem.textContent = "Load audio to find its beats.";
+      return;
+    }
+    statusElem.textContent = "Finding beats...";
+    // Give the status a chance to show before the page is busy
+    setTimeout(function() {
+      var beats = beattrack.findBeats(globals.audioBuffer);
+      if (beats.length < 2) {
+        statusElem.textContent = "No beats found.";
+        return;
+      }
+      saveUndoState();
+      setGrid(grid.fromBeats(beats, globals.grid));
+    }, 0);
+  }
+
+  /**
+   * Remove the current grid's tempo map, leaving a steady grid at its average
+   * tempo.
+   */
+  function onPressClearTempoMap() {
+    if (!globals.grid || !globals.grid.beats) {
+      return;
+    }
+    var newGrid = Object.assign({}, globals.grid);
+    delete newGrid.beats;
+    saveUndoState();
+    setGrid(newGrid);
+  }
+
+  /**
+   * Given a note and an object with the following attributes, return a new
+   * note quantized to the current grid:
+   * - division, swing: which grid lines to move toward (see grid.quantizeTime)
+   * - strength: how far (0-1) to move toward the nearest grid line
+   * - starts, ends: whether to quantize the note's start and end
+   * If its end would no longer be after its start, the note keeps its length.
+   */
+  function quantizeNote(note, args) {
+    var quantize = function(time) {
+      var lineTime = grid.quantizeTime(globals.grid, time, args);
+      return time + ((lineTime - time) * args.strength);
+    };
+    var start = args.starts ? Math.max(0, quantize(note.start)) : note.start;
+    var end = args.ends ? quantize(note.end) : note.end;
+    if (end <= start) {
+      end = start + (note.end - note.start);
+    }
+    return {
+      start: start,
+      end: end,
+      note: note.note,
+      velocity: note.velocity,
+      channel: note.channel
+    };
+  }
+
+  /**
+   * Quantize the selected notes (or all of the current track's, if none are
+   * selected) to the current grid with the chosen options, as one edit.
+   */
+  function onPressQuantize() {
+    if (!canEditTrack()) {
+      return;
+    }
+    var statusElem = document.getElementById("quantize-status");
+    var args = {
+      division: Number(document.getElementById("quantize-division").value),
+      strength: Number(document.getElementById("quantize-strength").value) /
+        100,
+      swing: Number(document.getElementById("quantize-swing").value) / 100,
+      starts: document.getElementById("quantize-starts").checked,
+      ends: document.getElementById("quantize-ends").checked
+    };
+    if (!globals.grid) {
+      statusElem.textContent = "Turn on the grid to quantize to it.";
+      return;
+    }
+    if (!((args.strength >= 0) && (args.strength <= 1)) ||
+        !((args.swing >= 0) && (args.swing <= 1))) {
+      statusElem.textContent = "Strength and swing must be from 0 to 100%.";
+      return;
+    }
+    if (!args.starts && !args.ends) {
+      statusElem.textContent = "Choose to quantize starts, ends, or both.";
+      return;
+    }
+    statusElem.textContent = "";
+    var selectedNotes = notedisplay.getSelectedNotes();
+    var track = getTrack();
+    var notes = selectedNotes.length ? selectedNotes : track.notes;
+    if (!notes.length) {
+      return;
+    }
+    var quantizedNotes = notes.map(function(note) {
+      return quantizeNote(note, args);
+    }).sort(function(a, b) {
+      return a.start - b.start;
+    });
+    var remainingNotes = track.notes.filter(function(existingNote) {
+      return !notes.some(function(note) {
+        return noteEquals(note, existingNote);
+      });
+    });
+    saveUndoState();
+    track.notes = mergeNotes(remainingNotes, quantizedNotes);
+    showNotes();
+    if (selectedNotes.length) {
+      notedisplay.select(quantizedNotes);
+    }
+  }
+
+  /**
+   * Shows or hides the key bindings section.
+   */
+  function onClickKeysToggle() {
+    if (this.innerText === "[show]") {
+      this.nextSibling.nextSibling.style.display = "block";
+      this.innerText = "[hide]";
+    } else {
+      this.nextSibling.nextSibling.style.display = "none";
+      this.innerText = "[show]";
+    }
+  }
+
+  /**
+   * Set up the functions to get called when a user clicks on record, play, etc.
+   */
+  function initEventListeners() {
+    var refreshInputsButton = document.getElementById("refresh-inputs");
+    refreshInputsButton.addEventListener("click", onPressRefreshInputs);
+    var refreshOutputsButton = document.getElementById("refresh-outputs");
+    refreshOutputsButton.addEventListener("click", onPressRefreshOutputs);
+    var loadAudioButton = document.getElementById("load-audio");
     loadAudioButton.addEventListener("click", onPressLoadAudio);
     var clearAudioButton = document.getElementById("clear-audio");
     clearAudioButton.addEventListener("click", onPressClearAudio);
@@ -431,6 +1811,10 @@ var index = {};
     stopRecordButton.addEventListener("click", onPressStopRecord);
     var clearButton = document.getElementById("clear");
     clearButton.addEventListener("click", onPressClear);
+    var undoButton = document.getElementById("undo");
+    undoButton.addEventListener("click", onUndo);
+    var redoButton = document.getElementById("redo");
+    redoButton.addEventListener("click", onRedo);
     var playButton = document.getElementById("play");
     playButton.addEventListener("click", onPressPlay);
     var pauseButton = document.getElementById("pause");
@@ -443,8 +1827,77 @@ var index = {};
     panicButton.addEventListener("click", onPressPanic);
     var saveButton = document.getElementById("save");
     saveButton.addEventListener("click", onPressSave);
+    var saveMidiButton = document.getElementById("save-midi");
+    saveMidiButton.addEventListener("click", onPressSaveMidi);
     var loadNotesButton = document.getElementById("load-notes");
     loadNotesButton.addEventListener("click", onPressLoadNotes);
+    var playbackRateElem = document.getElementById("playback-rate");
+    playbackRateElem.addEventListener("change", onChangePlaybackRate);
+    playbackRateElem.addEventListener("input", onInputPlaybackRate);
+    var zoomInButton = document.getElementById("zoom-in");
+    zoomInButton.addEventListener("click", onPressZoomIn);
+    var zoomOutButton = document.getElementById("zoom-out");
+    zoomOutButton.addEventListener("click", onPressZoomOut);
+    var zoomFitButton = document.getElementById("zoom-fit");
+    zoomFitButton.addEventListener("click", notedisplay.zoomToFit);
+    var zoomTallerButton = document.getElementById("zoom-taller");
+    zoomTallerButton.addEventListener("click", onPressZoomTaller);
+    var zoomShorterButton = document.getElementById("zoom-shorter");
+    zoomShorterButton.addEventListener("click", onPressZoomShorter);
+    var spectrogramVisibleElem = document.getElementById("spectrogram-visible");
+    spectrogramVisibleElem.addEventListener("change", onChangeSpectrogram);
+    var brightnessElem = document.getElementById("spectrogram-brightness");
+    brightnessElem.addEventListener("change", onChangeSpectrogram);
+    var contrastElem = document.getElementById("spectrogram-contrast");
+    contrastElem.addEventListener("change", onChangeSpectrogram);
+    var drawModeElem = document.getElementById("draw-mode");
+    drawModeElem.addEventListener("change", onChangeDrawMode);
+    var gridVisibleElem = document.getElementById("grid-visible");
+    gridVisibleElem.addEventListener("change", onChangeGrid);
+    var gridBpmElem = document.getElementById("grid-bpm");
+    gridBpmElem.addEventListener("change", onChangeGrid);
+    var gridBeatsPerBarElem = document.getElementById("grid-beats-per-bar");
+    gridBeatsPerBarElem.addEventListener("change", onChangeGrid);
+    var gridBeatUnitElem = document.getElementById("grid-beat-unit");
+    gridBeatUnitElem.addEventListener("change", onChangeGrid);
+    var gridOffsetElem = document.getElementById("grid-offset");
+    gridOffsetElem.addEventListener("change", onChangeGrid);
+    var gridOffsetToTimeButton = document.getElementById("grid-offset-to-time");
+    gridOffsetToTimeButton.addEventListener("click", onPressGridOffsetToTime);
+    var tapBeatsElem = document.getElementById("tap-beats");
+    tapBeatsElem.addEventListener("change", onChangeTapBeats);
+    var findBeatsButton = document.getElementById("find-beats");
+    findBeatsButton.addEventListener("click", onPressFindBeats);
+    var clearTempoMapButton = document.getElementById("clear-tempo-map");
+    clearTempoMapButton.addEventListener("click", onPressClearTempoMap);
+    var quantizeButton = document.getElementById("quantize");
+    quantizeButton.addEventListener("click", onPressQuantize);
+    var snapElem = document.getElementById("snap");
+    snapElem.addEventListener("change", onChangeSnap);
+    var snapTargetElem = document.getElementById("snap-target");
+    snapTargetElem.addEventListener("change", onChangeSnap);
+    var snapDivisionElem = document.getElementById("snap-division");
+    snapDivisionElem.addEventListener("change", onChangeSnap);
+    var channelElem = document.getElementById("channel");
+    channelElem.addEventListener("change", onChangeChannel);
+    var addTrackButton = document.getElementById("add-track");
+    addTrackButton.addEventListener("click", onPressAddTrack);
+    var clearCompButton = document.getElementById("clear-comp");
+    clearCompButton.addEventListener("click", onPressClearComp);
+    var flattenTakesButton = document.getElementById("flatten-takes");
+    flattenTakesButton.addEventListener("click", onPressFlattenTakes);
+    ["punch", "punch-in", "punch-out", "pre-roll"].forEach(function(id) {
+      document.getElementById(id).addEventListener("change", onChangePunch);
+    });
+    var punchToLoopButton = document.getElementById("punch-to-loop");
+    punchToLoopButton.addEventListener("click", onPressPunchToLoop);
+    ["metronome", "metronome-volume", "count-in"].forEach(function(id) {
+      document.getElementById(id).addEventListener("change", onChangeMetronome);
+    });
+    var moveToChannelButton = document.getElementById("move-to-channel");
+    moveToChannelButton.addEventListener("click", onPressMoveToChannel);
+    var controlLaneElem = document.getElementById("control-lane");
+    controlLaneElem.addEventListener("change", onChangeControlLane);
     var keysToggleElem = document.getElementById("keys-toggle");
     keysToggleElem.addEventListener("click", onClickKeysToggle);
   }
@@ -454,7 +1907,7 @@ var index = {};
    * and false otherwise.
    */
   function noteEquals(note1, note2) {
-    var properties = ["start", "end", "note", "velocity"];
+    var properties = ["start", "end", "note", "velocity", "channel"];
     for (var i=0; i<properties.length; i++) {
       if (note1[properties[i]] !== note2[properties[i]]) {
         return false;
@@ -464,17 +1917,22 @@ var index = {};
   }
 
   /**
-   * This function is called by notedisplay when a user has 'deleted' a note. We
-   * then perform the deletion and refresh the display with the updated model.
+   * This function is called by notedisplay when a user has 'deleted' a list of
+   * notes. We then perform the deletion on the current track (if it can be
+   * edited, see canEditTrack) and refresh the display with the updated model.
    */
-  function onDeleteNote(note) {
-    for (var i=0; i<globals.notes.length; i++) {
-      if (noteEquals(note, globals.notes[i])) {
-        globals.notes.splice(i, 1);
-        break;
-      }
+  function onDeleteNotes(notes) {
+    var track = getTrack();
+    var remainingNotes = track.notes.filter(function(existingNote) {
+      return !notes.some(function(note) {
+        return noteEquals(note, existingNote);
+      });
+    });
+    if ((remainingNotes.length !== track.notes.length) && canEditTrack()) {
+      saveUndoState();
+      track.notes = remainingNotes;
     }
-    notedisplay.showNotes(globals.notes, globals.audioBuffer);
+    showNotes();
   }
 
   /**
@@ -488,6 +1946,67 @@ var index = {};
     }
   }
 
+  /**
+   * Called by notedisplay when the user sets the loop region (or clears it, if
+   * undefined).
+   */
+  function onSetLoop(loop) {
+    if (!(record.isRecording || playback.isPlaying)) {
+      globals.loop = loop;
+      notedisplay.showLoop(loop);
+      drawTakeList();
+    }
+  }
+
+  /**
+   * Called when any of the punch inputs change; if punching in is turned on
+   * and its range is valid, make it the punch range. Punching in is turned
+   * off if it's unchecked or any of the inputs aren't valid.
+   */
+  function onChangePunch() {
+    var punchInElem = document.getElementById("punch-in");
+    var punchOutElem = document.getElementById("punch-out");
+    var preRollElem = document.getElementById("pre-roll");
+    var punch = {
+      start: Math.max(0, Number(punchInElem.value)),
+      end: Number(punchOutElem.value)
+    };
+    var preRoll = Number(preRollElem.value);
+    var isPunching = document.getElementById("punch").checked;
+    var error = "";
+    if (!preRollElem.value || !(preRoll >= 0)) {
+      error = "Pre-roll must be a time of 0 or more.";
+    } else if (isPunching && (!punchInElem.value || !punchOutElem.value)) {
+      error = "Fill in the punch in and punch out times.";
+    } else if (isPunching && !(punch.end > punch.start)) {
+      error = "Punch out must be after punch in.";
+    }
+    if (error || !isPunching) {
+      punch = undefined;
+    }
+    if (!error) {
+      globals.preRoll = preRoll;
+    }
+    document.getElementById("punch-status").textContent = error;
+    globals.punch = punch;
+    notedisplay.showPunch(punch);
+  }
+
+  /**
+   * Punch in over the loop region.
+   */
+  function onPressPunchToLoop() {
+    if (!globals.loop) {
+      document.getElementById("punch-status").textContent =
+        "Set a loop region first.";
+      return;
+    }
+    document.getElementById("punch-in").value = Math.round(globals.loop.start);
+    document.getElementById("punch-out").value = Math.round(globals.loop.end);
+    document.getElementById("punch").checked = true;
+    onChangePunch();
+  }
+
   /**
    * If playing, pause, and vice versa.
    */
@@ -511,13 +2030,666 @@ var index = {};
   }
 
   /**
-   * Called by notedisplay when a user has 'updated' the note at the given index
-   * to the provided value.
+   * Called by notedisplay when a user has 'updated' the notes at the given
+   * indices to the provided values (both lists), all as one edit of the
+   * current track (if it can be edited, see canEditTrack).
+   */
+  function onUpdateNotes(indices, newNotes) {
+    if (!canEditTrack()) {
+      showNotes();
+      return;
+    }
+    saveUndoState();
+    var track = getTrack();
+    var remainingNotes = track.notes.filter(function(note, i) {
+      return !indices.includes(i);
+    });
+    var sortedNewNotes = newNotes.slice().sort(function(a, b) {
+      return a.start - b.start;
+    });
+    track.notes = mergeNotes(remainingNotes, sortedNewNotes);
+    showNotes();
+  }
+
+  /**
+   * Called by notedisplay when a user has drawn the provided new note, which
+   * is added to the current track (if it can be edited, see canEditTrack).
+   */
+  function onCreateNote(note) {
+    if (!canEditTrack()) {
+      showNotes();
+      return;
+    }
+    saveUndoState();
+    getTrack().notes = mergeNotes(getTrack().notes, [note]);
+    showNotes();
+  }
+
+  /**
+   * Called by notedisplay when a user pastes the provided list of notes (with
+   * times relative to the paste position). If they're valid (and the current
+   * track can be edited), they're merged into it starting at the time bar,
+   * with the lowest one moved to the provided note value if there is one, and
+   * left selected.
+   */
+  function onPasteNotes(notes, note) {
+    if (validateNotes(notes) || !notes.length || !canEditTrack()) {
+      return;
+    }
+    var lowestNote = Math.min.apply(null, notes.map(function(n) {
+      return n.note;
+    }));
+    var highestNote = Math.max.apply(null, notes.map(function(n) {
+      return n.note;
+    }));
+    var noteShift = (note === undefined) ? 0 : (note - lowestNote);
+    // Keep every note within the MIDI note values
+    noteShift = Math.max(-lowestNote, Math.min(127 - highestNote, noteShift));
+    var firstStart = notes[0].start;
+    var pastedNotes = notes.map(function(n) {
+      return {
+        start: globals.time + n.start - firstStart,
+        end: globals.time + n.end - firstStart,
+        note: n.note + noteShift,
+        velocity: n.velocity,
+        // Notes pasted while editing one channel go on it
+        channel: (globals.channel === undefined) ? n.channel : globals.channel
+      };
+    });
+    saveUndoState();
+    getTrack().notes = mergeNotes(getTrack().notes, pastedNotes);
+    showNotes();
+    notedisplay.select(pastedNotes);
+  }
+
+  /**
+   * Set how the display snaps dragged times to match the snap inputs, finding
+   * the audio's onsets first if they're snapped to.
+   */
+  function onChangeSnap() {
+    var target = document.getElementById("snap-target").value;
+    var statusElem = document.getElementById("snap-status");
+    statusElem.textContent = "";
+    var onsets = [];
+    if ((target === "onsets") && !globals.audioBuffer) {
+      statusElem.textContent = "Load audio to snap to its onsets.";
+    } else if (target === "onsets") {
+      if (!globals.onsets.has(globals.audioBuffer)) {
+        globals.onsets.set(
+          globals.audioBuffer, beattrack.findOnsets(globals.audioBuffer)
+        );
+      }
+      onsets = globals.onsets.get(globals.audioBuffer);
+    }
+    notedisplay.setSnap({
+      enabled: document.getElementById("snap").checked,
+      target: target,
+      division: Number(document.getElementById("snap-division").value),
+      onsets: onsets
+    });
+  }
+
+  /**
+   * Add an option for each MIDI channel (numbered 1-16 as shown to users, but
+   * 0-15 as their values) to the channel select and the move to channel
+   * select.
+   */
+  function initChannelSelects() {
+    ["channel", "move-channel"].forEach(function(id) {
+      var select = document.getElementById(id);
+      for (var channel=0; channel<16; channel++) {
+        var option = document.createElement("option");
+        option.text = channel + 1;
+        option.value = channel;
+        select.appendChild(option);
+      }
+    });
+  }
+
+  /**
+   * Only edit the notes on the channel chosen in the channel select (or every
+   * channel, if none is chosen).
+   */
+  function onChangeChannel() {
+    var value = document.getElementById("channel").value;
+    globals.channel = (value === "") ? undefined : Number(value);
+    notedisplay.showChannel(globals.channel);
+  }
+
+  /**
+   * Move the selected notes to the channel chosen in the move to channel
+   * select, as one edit.
+   */
+  function onPressMoveToChannel() {
+    if (!canEditTrack()) {
+      return;
+    }
+    var statusElem = document.getElementById("channel-status");
+    var notes = notedisplay.getSelectedNotes();
+    if (!notes.length) {
+      statusElem.textContent = "Select the notes to move first.";
+      return;
+    }
+    statusElem.textContent = "";
+    var channel = Number(document.getElementById("move-channel").value);
+    var movedNotes = notes.map(function(note) {
+      return Object.assign({}, note, {channel: channel});
+    });
+    var track = getTrack();
+    var remainingNotes = track.notes.filter(function(existingNote) {
+      return !notes.some(function(note) {
+        return noteEquals(note, existingNote);
+      });
+    });
+    saveUndoState();
+    track.notes = mergeNotes(remainingNotes, movedNotes);
+    showNotes();
+    notedisplay.select(movedNotes);
+  }
+
+  /**
+   * Given a comp (see createTrack), a range of time (object with "start" and
+   * "end" in ms), and the index of a take (or undefined for none), return a
+   * new comp using that take over the range, in place of whatever was used
+   * there before.
+   */
+  function getCompWithRange(comp, range, takeIndex) {
+    var newComp = [];
+    comp.forEach(function(part) {
+      if ((part.end < range.start) || (part.start > range.end)) {
+        newComp.push(part);
+        return;
+      }
+      if (part.start < range.start) {
+        newComp.push({start: part.start, end: range.start, take: part.take});
+      }
+      if (part.end > range.end) {
+        newComp.push({start: range.end, end: part.end, take: part.take});
+      }
+    });
+    if (takeIndex !== undefined) {
+      newComp.push({start: range.start, end: range.end, take: takeIndex});
+    }
+    return newComp.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * Return whether one of the provided track's takes is being auditioned
+   * alone (see globals.auditionTake).
+   */
+  function isAuditioningTake(track) {
+    return (track === getTrack()) && (globals.auditionTake !== undefined);
+  }
+
+  /**
+   * Return the comp (see createTrack) heard for the provided track: that of
+   * the track, or for the current track while a take is auditioned, that
+   * take everywhere.
+   */
+  function getHeardComp(track) {
+    if (isAuditioningTake(track)) {
+      return [{start: 0, end: Infinity, take: globals.auditionTake}];
+    }
+    return track.comp;
+  }
+
+  /**
+   * Given a comp and a time (ms), return the index of the take used at that
+   * time, or undefined if none is.
+   */
+  function getTakeAtTime(comp, time) {
+    var takeIndex = undefined;
+    comp.forEach(function(part) {
+      if ((part.start <= time) && (time <= part.end)) {
+        takeIndex = part.take;
+      }
+    });
+    return takeIndex;
+  }
+
+  /**
+   * Given a comp, the index of a take used in it at the provided time (ms),
+   * return the time (ms) the comp stops using the take from then on.
    */
-  function onUpdateNote(index, note) {
-    globals.notes.splice(index, 1);
-    globals.notes = mergeNotes(globals.notes, [note]);
-    notedisplay.showNotes(globals.notes, globals.audioBuffer);
+  function getTakeUseEnd(comp, takeIndex, time) {
+    var end = time;
+    // The comp is ordered by start, so parts continuing the use are reached
+    // in order
+    comp.forEach(function(part) {
+      if ((part.take === takeIndex) && (part.start <= end) &&
+          (part.end > end)) {
+        end = part.end;
+      }
+    });
+    return end;
+  }
+
+  /**
+   * Return a list of the notes of the provided track's takes that are heard
+   * (see getHeardComp), ordered by start: those starting while their take is
+   * used, cut off where the comp stops using it.
+   */
+  function getCompNotes(track) {
+    var comp = getHeardComp(track);
+    var notes = [];
+    track.takes.forEach(function(take, takeIndex) {
+      take.notes.forEach(function(note) {
+        if (getTakeAtTime(comp, note.start) !== takeIndex) {
+          return;
+        }
+        var end = Math.min(
+          note.end, getTakeUseEnd(comp, takeIndex, note.start)
+        );
+        if (end > note.start) {
+          notes.push(Object.assign({}, note, {end: end}));
+        }
+      });
+    });
+    return notes.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * Return the list of notes the provided track plays: its own, merged with
+   * those of its takes that are heard (see getCompNotes), or just those of
+   * the take being auditioned alone.
+   */
+  function getPlayedNotes(track) {
+    if (isAuditioningTake(track)) {
+      return getCompNotes(track);
+    }
+    return mergeNotes(track.notes, getCompNotes(track));
+  }
+
+  /**
+   * Return the list of control events the provided track plays: its own,
+   * with those of the heard takes (see getHeardComp) replacing them for the
+   * controls the takes change (on the same channel) in the time they're used,
+   * or just those of the take being auditioned alone.
+   */
+  function getPlayedControlEvents(track) {
+    var comp = getHeardComp(track);
+    var ownEvents = isAuditioningTake(track) ? [] : track.controlEvents;
+    return comp.reduce(function(controlEvents, part) {
+      var take = track.takes[part.take];
+      return mergeControlEvents(
+        controlEvents,
+        take.controlEvents.filter(function(controlEvent) {
+          return getTakeAtTime(comp, controlEvent.time) === part.take;
+        }),
+        part
+      );
+    }, ownEvents);
+  }
+
+  /**
+   * Return the time (ms) the provided take's last note or control event
+   * ends.
+   */
+  function getTakeEnd(take) {
+    var end = util.getMaxTime(take.notes);
+    var controlEvents = take.controlEvents;
+    if (controlEvents.length) {
+      end = Math.max(end, controlEvents[controlEvents.length - 1].time);
+    }
+    return end;
+  }
+
+  /**
+   * Return the range of time (object with "start" and "end" in ms) choosing
+   * a take for the comp applies to: the loop region if there is one, or else
+   * the range the provided take was recorded over.
+   */
+  function getCompRange(take) {
+    return globals.loop || take.range;
+  }
+
+  /**
+   * Given a time (ms), return it in seconds with one decimal place, for
+   * showing ranges of the comp.
+   */
+  function formatSeconds(time) {
+    return (time / 1000).toFixed(1) + "s";
+  }
+
+  /**
+   * Make the take list show the current track's takes: a choice of hearing
+   * its comp or each take alone, and for each take, when it was recorded,
+   * where the comp uses it, and buttons to use it in the loop region (or
+   * everywhere it was recorded, without one) and to delete it.
+   */
+  function drawTakeList() {
+    var takesElem = document.getElementById("takes");
+    var track = getTrack();
+    clearChildren(takesElem);
+    var appendAuditionChoice = function(row, takeIndex, text) {
+      var label = document.createElement("label");
+      var radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "audition-take";
+      radio.checked = globals.auditionTake === takeIndex;
+      radio.addEventListener("change", function() {
+        onChangeAuditionTake(takeIndex);
+      });
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(text));
+      row.appendChild(label);
+    };
+    var compRow = document.createElement("div");
+    appendAuditionChoice(compRow, undefined, "Hear comp");
+    takesElem.appendChild(compRow);
+    track.takes.forEach(function(take, i) {
+      var row = document.createElement("div");
+      var usedRanges = track.comp.filter(function(part) {
+        return part.take === i;
+      }).map(function(part) {
+        return formatSeconds(part.start) + "-" +
+          formatSeconds(part.end);
+      });
+      appendAuditionChoice(row, i, take.name + " (recorded " +
+        new Date(take.time).toLocaleTimeString() + ", " + take.notes.length +
+        " notes, used " + (usedRanges.join(", ") || "nowhere") + ")");
+      var useButton = document.createElement("button");
+      useButton.type = "button";
+      useButton.textContent = globals.loop ? "Use in loop" :
+        "Use where recorded";
+      useButton.addEventListener("click", function() {
+        onPressUseTake(i);
+      });
+      row.appendChild(useButton);
+      var deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", function() {
+        onPressDeleteTake(i);
+      });
+      row.appendChild(deleteButton);
+      takesElem.appendChild(row);
+    });
+  }
+
+  /**
+   * Hear the current track's take with the provided index alone (in place of
+   * its comp), or its comp if the index is undefined.
+   */
+  function onChangeAuditionTake(takeIndex) {
+    globals.auditionTake = takeIndex;
+    showTracks();
+  }
+
+  /**
+   * Use the current track's take with the provided index in its comp over
+   * the loop region (or everywhere it was recorded, if there is no loop), as
+   * one edit.
+   */
+  function onPressUseTake(takeIndex) {
+    if (!canEditTrack()) {
+      return;
+    }
+    saveUndoState();
+    var track = getTrack();
+    track.comp = getCompWithRange(
+      track.comp, getCompRange(track.takes[takeIndex]), takeIndex
+    );
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Stop using any take in the current track's comp over the loop region, as
+   * one edit.
+   */
+  function onPressClearComp() {
+    var statusElem = document.getElementById("takes-status");
+    if (!globals.loop) {
+      statusElem.textContent = "Set a loop region to clear the comp in.";
+      return;
+    }
+    if (!canEditTrack()) {
+      return;
+    }
+    statusElem.textContent = "";
+    saveUndoState();
+    var track = getTrack();
+    track.comp = getCompWithRange(track.comp, globals.loop, undefined);
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Delete the current track's take with the provided index (and its ranges
+   * of the comp), as one edit.
+   */
+  function onPressDeleteTake(takeIndex) {
+    if (!canEditTrack()) {
+      return;
+    }
+    saveUndoState();
+    var track = getTrack();
+    track.takes = track.takes.filter(function(take, i) {
+      return i !== takeIndex;
+    });
+    track.comp = track.comp.filter(function(part) {
+      return part.take !== takeIndex;
+    }).map(function(part) {
+      var take = (part.take > takeIndex) ? part.take - 1 : part.take;
+      return {start: part.start, end: part.end, take: take};
+    });
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Merge the notes and control events of the current track's comp into its
+   * own (the same way they're played) and forget its takes, as one edit.
+   */
+  function onPressFlattenTakes() {
+    var track = getTrack();
+    if (!track.takes.length || !canEditTrack()) {
+      return;
+    }
+    globals.auditionTake = undefined;
+    saveUndoState();
+    track.notes = getPlayedNotes(track);
+    track.controlEvents = getPlayedControlEvents(track);
+    track.takes = [];
+    track.comp = [];
+    showTracks();
+  }
+
+  /**
+   * Append an option with the provided text and value to the provided select
+   * element.
+   */
+  function appendOption(select, text, value) {
+    var option = document.createElement("option");
+    option.text = text;
+    option.value = value;
+    select.appendChild(option);
+  }
+
+  /**
+   * Make the track list show a row for each track, with a choice of the
+   * current track, its name, color, output, and channel, whether it's muted,
+   * soloed, hidden, or locked, and a button to delete it.
+   */
+  function drawTrackList() {
+    var tracksElem = document.getElementById("tracks");
+    var outputOptions = document.getElementById("outputs").options;
+    clearChildren(tracksElem);
+    globals.tracks.forEach(function(track, i) {
+      var row = document.createElement("div");
+      var currentElem = document.createElement("input");
+      currentElem.type = "radio";
+      currentElem.name = "current-track";
+      currentElem.title = "Edit and record into this track";
+      currentElem.checked = i === globals.trackIndex;
+      currentElem.addEventListener("change", function() {
+        onSelectTrack(i);
+      });
+      row.appendChild(currentElem);
+      var nameElem = document.createElement("input");
+      nameElem.value = track.name;
+      nameElem.addEventListener("change", function() {
+        onChangeTrack(i, "name", nameElem.value);
+      });
+      row.appendChild(nameElem);
+      var colorElem = document.createElement("input");
+      colorElem.type = "color";
+      colorElem.value = track.color;
+      colorElem.addEventListener("change", function() {
+        onChangeTrack(i, "color", colorElem.value);
+      });
+      row.appendChild(colorElem);
+      var outputElem = document.createElement("select");
+      appendOption(outputElem, "selected output", "");
+      Array.from(outputOptions).forEach(function(option) {
+        appendOption(outputElem, option.text, option.value);
+      });
+      outputElem.value = track.outputKey;
+      outputElem.addEventListener("change", function() {
+        onChangeTrack(i, "outputKey", outputElem.value);
+      });
+      row.appendChild(outputElem);
+      var channelElem = document.createElement("select");
+      appendOption(channelElem, "notes' channels", "");
+      for (var channel=0; channel<16; channel++) {
+        appendOption(channelElem, "channel " + (channel + 1), channel);
+      }
+      channelElem.value = (track.channel === undefined) ? "" : track.channel;
+      channelElem.addEventListener("change", function() {
+        var value = channelElem.value;
+        onChangeTrack(i, "channel", (value === "") ? undefined : Number(value));
+      });
+      row.appendChild(channelElem);
+      var toggles = [
+        {attribute: "isMuted", text: "Mute"},
+        {attribute: "isSoloed", text: "Solo"},
+        {attribute: "isHidden", text: "Hide"},
+        {attribute: "isLocked", text: "Lock"}
+      ];
+      toggles.forEach(function(toggle) {
+        var label = document.createElement("label");
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = track[toggle.attribute];
+        checkbox.addEventListener("change", function() {
+          onChangeTrack(i, toggle.attribute, checkbox.checked);
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(toggle.text));
+        row.appendChild(label);
+      });
+      var deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.disabled = globals.tracks.length < 2;
+      deleteButton.addEventListener("click", function() {
+        onPressDeleteTrack(i);
+      });
+      row.appendChild(deleteButton);
+      tracksElem.appendChild(row);
+    });
+  }
+
+  /**
+   * Make the track at the provided index the current track, unless recording
+   * into the current one.
+   */
+  function onSelectTrack(trackIndex) {
+    if (!record.isRecording) {
+      globals.trackIndex = trackIndex;
+      globals.auditionTake = undefined;
+      document.getElementById("track-status").textContent = "";
+    }
+    showTracks();
+  }
+
+  /**
+   * Set the provided attribute (see createTrack) of the track at the provided
+   * index to the provided value, as one edit, and show the change. If it
+   * changes which tracks are heard or where they play and playback is going
+   * (without recording), playback restarts from the same spot so that it's
+   * heard right away (see getPlaybackTracks).
+   */
+  function onChangeTrack(trackIndex, attribute, value) {
+    saveUndoState();
+    globals.tracks[trackIndex][attribute] = value;
+    showTracks();
+    var isPlaybackChange = ["isMuted", "isSoloed", "outputKey", "channel"]
+      .indexOf(attribute) !== -1;
+    if (isPlaybackChange && playback.isPlaying && !record.isRecording) {
+      onPressPause();
+      onPressPlay();
+    }
+  }
+
+  /**
+   * Add a new empty track to the end of the track list and make it the
+   * current track, as one edit (unless recording).
+   */
+  function onPressAddTrack() {
+    if (record.isRecording) {
+      return;
+    }
+    saveUndoState();
+    globals.tracks.push(createTrack(globals.tracks.length));
+    globals.trackIndex = globals.tracks.length - 1;
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Delete the track at the provided index, as one edit, unless it's the only
+   * one or it's being recorded into.
+   */
+  function onPressDeleteTrack(trackIndex) {
+    if ((globals.tracks.length < 2) ||
+        (record.isRecording && (trackIndex === globals.trackIndex))) {
+      return;
+    }
+    saveUndoState();
+    globals.tracks.splice(trackIndex, 1);
+    if ((trackIndex < globals.trackIndex) ||
+        (globals.trackIndex === globals.tracks.length)) {
+      globals.trackIndex--;
+    }
+    globals.auditionTake = undefined;
+    showTracks();
+  }
+
+  /**
+   * Called by notedisplay when the user has drawn or erased control events,
+   * with the provided list (ordered by time) replacing all of the current
+   * track's (if it can be edited, see canEditTrack).
+   */
+  function onSetControlEvents(controlEvents) {
+    if (!canEditTrack()) {
+      showControlEvents();
+      return;
+    }
+    saveUndoState();
+    getTrack().controlEvents = controlEvents;
+    showControlEvents();
+  }
+
+  /**
+   * Show the control chosen in the controller lane select in the display's
+   * controller lane.
+   */
+  function onChangeControlLane() {
+    var value = document.getElementById("control-lane").value;
+    notedisplay.showControlLane(value || undefined);
+  }
+
+  /**
+   * Turn the display's draw mode on or off to match its checkbox.
+   */
+  function onChangeDrawMode() {
+    notedisplay.setDrawMode(document.getElementById("draw-mode").checked);
   }
 
   /**
@@ -528,12 +2700,30 @@ var index = {};
       var msg = "Web MIDI support is required (try using Chrome).";
       document.getElementById("warning").innerText = msg;
     }
+    globals.audioContext = new AudioContext();
+    globals.synthOutput = synth.createOutput(globals.audioContext);
+    globals.tracks = [createTrack(0)];
+    initChannelSelects();
     initEventListeners();
     var displayContainer = document.getElementById("record-display");
-    notedisplay.init(
-      displayContainer, onDeleteNote, onUpdateNote, onSetTime, togglePlayPause,
-      togglePlayPauseKeepSpot
-    );
+    notedisplay.init(displayContainer, {
+      deleteCallback: onDeleteNotes,
+      updateCallback: onUpdateNotes,
+      createCallback: onCreateNote,
+      pasteCallback: onPasteNotes,
+      setTimeCallback: onSetTime,
+      playPauseCallback: togglePlayPause,
+      playPauseKeepSpotCallback: togglePlayPauseKeepSpot,
+      setLoopCallback: onSetLoop,
+      undoCallback: onUndo,
+      redoCallback: onRedo,
+      auditionCallback: onAuditionNote,
+      tapCallback: onTap,
+      setGridCallback: onSetGrid,
+      setControlEventsCallback: onSetControlEvents
+    });
+    onChangeControlLane();
+    onPressRefreshOutputs();
     navigator.requestMIDIAccess().then(function(midiAccess) {
       globals.midiAccess = midiAccess;
       onPressRefreshInputs();
@@ -541,7 +2731,6 @@ var index = {};
     }, function() {
       alert("MIDI access denied.");
     });
-    globals.audioContext = new AudioContext();
   };
 })()
 
@@ -0,0 +1,53 @@
+/**
+ * This module makes the clicks of a metronome with the Web Audio API, so that
+ * they can be scheduled on an AudioContext's clock along with the audio and
+ * the software instrument (see playback.play).
+ */
+var metronome = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the metronome object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Pitch (Hz) of the click on the first beat of each bar
+    ACCENT_FREQUENCY: 1760,
+    // Pitch (Hz) of the click on every other beat
+    BEAT_FREQUENCY: 880,
+    // Volume (relative to the accented click) of the other clicks
+    BEAT_LEVEL: 0.6,
+    // Time constant (s) of a click fading out
+    DECAY: 0.015,
+    // Length (s) of a click, after which it's silent
+    CLICK_DURATION: 0.1
+  };
+
+  /**
+   * Play a click through the provided AudioNode at the provided time
+   * (AudioContext time, s), higher and louder if it's accented (for the first
+   * beat of a bar).
+   */
+  metronome.click = function(audioContext, destination, when, isAccent) {
+    var gain = audioContext.createGain();
+    gain.gain.setValueAtTime(isAccent ? 1 : globals.BEAT_LEVEL, when);
+    gain.gain.setTargetAtTime(0, when, globals.DECAY);
+    gain.connect(destination);
+    var oscillator = audioContext.createOscillator();
+    oscillator.frequency.value = isAccent ? globals.ACCENT_FREQUENCY :
+      globals.BEAT_FREQUENCY;
+    oscillator.connect(gain);
+    oscillator.start(when);
+    oscillator.stop(when + globals.CLICK_DURATION);
+  };
+
+  /**
+   * Given a grid (see grid.js), a time (ms), and a number of bars, return the
+   * length (ms) of that many bars of the grid right before the time, so a
+   * count-in lasting that long ends at the time.
+   */
+  metronome.getCountInDuration = function(beatGrid, time, bars) {
+    var beat = grid.timeToBeat(beatGrid, time);
+    return time -
+      grid.beatToTime(beatGrid, beat - (bars * beatGrid.beatsPerBar));
+  };
+})();
@@ -12,6 +12,15 @@ var midi = {};
 (function() {
   midi.NOTE_ON_START = 0b1001;
   midi.NOTE_OFF_START = 0b1000;
+  midi.CONTROL_CHANGE_START = 0b1011;
+  midi.CHANNEL_PRESSURE_START = 0b1101;
+  midi.PITCH_BEND_START = 0b1110;
+  // Controller numbers of the sustain pedal, mod wheel, and expression pedal
+  midi.SUSTAIN_CONTROLLER = 64;
+  midi.MOD_WHEEL_CONTROLLER = 1;
+  midi.EXPRESSION_CONTROLLER = 11;
+  // Pitch bend value of an unbent pitch
+  midi.PITCH_BEND_CENTER = 8192;
 
   /**
    * Takes in a midi message in the form of a Uint8Array (as given by the data
@@ -19,9 +28,9 @@ var midi = {};
    * a MIDI "Note On" message.
    *
    * A "Note On" message has a first byte of the form "1001nnnn", where "nnnn"
-   * is a MIDI Channel number (we ignore this channel number). The third byte is
-   * the velocity of the key pressed. If this value is 0, then we consider the
-   * message a "Note Off" message.
+   * is a MIDI Channel number (see midi.getChannelFromMessage). The third byte
+   * is the velocity of the key pressed. If this value is 0, then we consider
+   * the message a "Note Off" message.
    */
   midi.isNoteOnMessage = function(midiMsg) {
     var statusByte = midiMsg[0];
@@ -40,7 +49,7 @@ var midi = {};
    *
    * A "Note Off" message can be represented in a couple different ways. The
    * first is by a message whose status (first) byte is of the form "1000nnnn"
-   * (where nnnn corresponds to the channel; we ignore this). The second is by a
+   * (where nnnn corresponds to the channel). The second is by a
    * message whose status byte is of the form "1001nnnn" AND has a velocity byte
    * of 0.
    */
@@ -64,7 +73,7 @@ var midi = {};
    *
    * The type of message is determined by the first byte, also known as the
    * "status" byte. If "1000nnnn" or "1001nnnn", it is a "Note On" or "Note Off"
-   * message (where nnnn is the midi channel; we ignore this).
+   * message (where nnnn is the midi channel).
    */
   midi.isNoteMessage = function(midiMsg) {
     var statusByte = midiMsg[0];
@@ -91,6 +100,15 @@ var midi = {};
     return midiMsg[1];
   };
 
+  /**
+   * Given a midi message in the form of a Uint8Array (as given by the data
+   * attribute of a MIDIMessageEvent) for a channel (like a note or control
+   * event), gets the channel (0-15) the event is on and returns it.
+   */
+  midi.getChannelFromMessage = function(midiMsg) {
+    return midiMsg[0] & 0x0F;
+  };
+
   /**
    * Send the provided MIDIOutput object a Note On message to the optional
    * channel (default 0) for the provided note value with the provided velocity
@@ -183,4 +201,128 @@ var midi = {};
       }
     }
   };
+
+  /**
+   * Takes in a midi message in the form of a Uint8Array (as given by the data
+   * attribute of a MIDIMessageEvent) and, if it's a "Control Change", "Pitch
+   * Bend", or "Channel Pressure" (aftertouch) message, returns it as a control
+   * event object (without a time). Otherwise, returns undefined.
+   *
+   * A control event is an object with the following attributes:
+   * - time: double representing the time (ms) it happens
+   * - type: "controlChange", "pitchBend", or "channelPressure"
+   * - controller: integer controller number (0-127), only for "controlChange"
+   * - value: integer value it changes to, from 0 up to the type's maximum (see
+   *   midi.getControlEventMaxValue)
+   * Like notes, control events can also have an integer "channel" (0-15).
+   */
+  midi.getControlEventFromMessage = function(midiMsg) {
+    var statusByteStart = midiMsg[0] >> 4;
+    if (statusByteStart === midi.CONTROL_CHANGE_START) {
+      return {type: "controlChange", controller: midiMsg[1], value: midiMsg[2]};
+    } else if (statusByteStart === midi.PITCH_BEND_START) {
+      // The least significant 7 bits come first
+      return {type: "pitchBend", value: (midiMsg[2] << 7) | midiMsg[1]};
+    } else if (statusByteStart === midi.CHANNEL_PRESSURE_START) {
+      return {type: "channelPressure", value: midiMsg[1]};
+    } else {
+      return undefined;
+    }
+  };
+
+  /**
+   * Return a string naming the control a control event (see
+   * midi.getControlEventFromMessage) changes: its type, followed by a comma
+   * and its controller number for "controlChange" (like "controlChange,64"
+   * for the sustain pedal, or just "pitchBend").
+   */
+  midi.getControlKey = function(controlEvent) {
+    if (controlEvent.type === "controlChange") {
+      return controlEvent.type + "," + controlEvent.controller;
+    }
+    return controlEvent.type;
+  };
+
+  /**
+   * Return the largest value a control event of the provided type can have.
+   */
+  midi.getControlEventMaxValue = function(type) {
+    return (type === "pitchBend") ? 16383 : 127;
+  };
+
+  /**
+   * Given a control event (see midi.getControlEventFromMessage), return the
+   * list of bytes of the MIDI message for it, sent to its channel (default 0).
+   */
+  midi.getControlEventMessage = function(controlEvent) {
+    var channel = (controlEvent.channel === undefined) ? 0 :
+      controlEvent.channel;
+    var value = controlEvent.value;
+    if (controlEvent.type === "controlChange") {
+      return [
+        (midi.CONTROL_CHANGE_START << 4) | channel, controlEvent.controller,
+        value
+      ];
+    } else if (controlEvent.type === "pitchBend") {
+      return [(midi.PITCH_BEND_START << 4) | channel, value & 0x7F, value >> 7];
+    } else {
+      return [(midi.CHANNEL_PRESSURE_START << 4) | channel, value];
+    }
+  };
+
+  /**
+   * Send the provided MIDIOutput object the MIDI message for a control event.
+   *
+   * The function takes in an argument object with the following attributes:
+   * - midiOutput: a MIDIOutput device to send the MIDI message to
+   * - time: double representing time in milliseconds from the time origin at
+   *   which to send the message; defaults to 0 (this will play immediately)
+   * - controlEvent: the control event to send (see
+   *   midi.getControlEventFromMessage; its time is ignored)
+   */
+  midi.sendControlEvent = function(args) {
+    var time = (args.time === undefined) ? 0 : args.time;
+    args.midiOutput.send(midi.getControlEventMessage(args.controlEvent), time);
+  };
+
+  /**
+   * Given a control event (see midi.getControlEventFromMessage; only its type
+   * and controller are looked at), return the value its control rests at
+   * when nothing has changed it: full for the expression pedal, the center
+   * for pitch bend, and 0 for anything else.
+   */
+  midi.getControlRestingValue = function(controlEvent) {
+    if (controlEvent.type === "pitchBend") {
+      return midi.PITCH_BEND_CENTER;
+    } else if ((controlEvent.type === "controlChange") &&
+        (controlEvent.controller === midi.EXPRESSION_CONTROLLER)) {
+      return 127;
+    } else {
+      return 0;
+    }
+  };
+
+  /**
+   * Given a MIDIOutput object, an optional time (default now), and an optional
+   * channel (default 0), send messages to the channel putting the sustain
+   * pedal, mod wheel, expression pedal, pitch bend, and channel pressure back
+   * to their resting values.
+   */
+  midi.resetControls = function(midiOutput, time, channel) {
+    [
+      {type: "controlChange", controller: midi.SUSTAIN_CONTROLLER},
+      {type: "controlChange", controller: midi.MOD_WHEEL_CONTROLLER},
+      {type: "controlChange", controller: midi.EXPRESSION_CONTROLLER},
+      {type: "pitchBend"},
+      {type: "channelPressure"}
+    ].forEach(function(controlEvent) {
+      controlEvent.value = midi.getControlRestingValue(controlEvent);
+      controlEvent.channel = channel;
+      midi.sendControlEvent({
+        midiOutput: midiOutput,
+        time: time,
+        controlEvent: controlEvent
+      });
+    });
+  };
 })();
@@ -0,0 +1,615 @@
+/**
+ * This module converts tracks of note objects (and control events) to and
+ * from the bytes of a Standard MIDI File (.mid), so that notes can be shared
+ * with other programs.
+ */
+var midifile = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the midifile object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Number of ticks per quarter note written to exported files
+    TICKS_PER_QUARTER: 480,
+    // Tempo (quarter notes per minute) written to exported files
+    DEFAULT_BPM: 120,
+    // Status byte of a meta event
+    META_STATUS: 0xFF,
+    // Meta event type for naming a track
+    META_TRACK_NAME: 0x03,
+    // Meta event type for setting the tempo
+    META_TEMPO: 0x51,
+    // Meta event type for setting the time signature
+    META_TIME_SIGNATURE: 0x58,
+    // Meta event type marking the end of a track
+    META_END_OF_TRACK: 0x2F,
+    // Status byte of a system exclusive event
+    SYSEX_STATUS: 0xF0,
+    // Status byte of a system exclusive continuation (or escape) event
+    SYSEX_ESCAPE_STATUS: 0xF7
+  };
+
+  /**
+   * Given a nonnegative integer, return a list of bytes representing it as a
+   * MIDI variable-length quantity (7 bits per byte, most significant first,
+   * with the top bit set on every byte but the last).
+   */
+  function getVariableLengthBytes(value) {
+    var bytes = [value & 0x7F];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+      bytes.unshift((value & 0x7F) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    return bytes;
+  }
+
+  /**
+   * Given an integer and a number of bytes, return a list of that many bytes
+   * representing the integer in big-endian order.
+   */
+  function getFixedLengthBytes(value, byteCount) {
+    var bytes = [];
+    for (var i=byteCount-1; i>=0; i--) {
+      bytes.push(Math.floor(value / Math.pow(256, i)) & 0xFF);
+    }
+    return bytes;
+  }
+
+  /**
+   * Given a four character chunk type (like "MTrk") and a list of data bytes,
+   * return the list of bytes making up the whole chunk.
+   */
+  function getChunkBytes(type, dataBytes) {
+    var bytes = [];
+    for (var i=0; i<type.length; i++) {
+      bytes.push(type.charCodeAt(i));
+    }
+    return bytes.concat(getFixedLengthBytes(dataBytes.length, 4), dataBytes);
+  }
+
+  /**
+   * Given a list of track events, each an object with a "tick" (integer
+   * absolute time) and "bytes" (the event's bytes without a delta time), return
+   * the bytes of an MTrk chunk containing them in order followed by an end of
+   * track event. Events at the same tick keep their relative order.
+   */
+  function getTrackChunkBytes(trackEvents) {
+    var sortedEvents = trackEvents.map(function(trackEvent, i) {
+      return {tick: trackEvent.tick, bytes: trackEvent.bytes, order: i};
+    }).sort(function(a, b) {
+      return (a.tick - b.tick) || (a.order - b.order);
+    });
+    var dataBytes = [];
+    var lastTick = 0;
+    sortedEvents.forEach(function(trackEvent) {
+      var deltaBytes = getVariableLengthBytes(trackEvent.tick - lastTick);
+      Array.prototype.push.apply(dataBytes, deltaBytes);
+      Array.prototype.push.apply(dataBytes, trackEvent.bytes);
+      lastTick = trackEvent.tick;
+    });
+    dataBytes.push(0, globals.META_STATUS, globals.META_END_OF_TRACK, 0);
+    return getChunkBytes("MTrk", dataBytes);
+  }
+
+  /**
+   * Given a list of tempo changes (see midifile.write), return a copy of it
+   * where each also has the "tick" it happens at and the length (ms) of a tick
+   * after it ("msPerTick").
+   */
+  function getTempoTicks(tempos) {
+    var tick = 0;
+    return tempos.map(function(tempo, i) {
+      if (i) {
+        var previous = tempos[i-1];
+        tick += (tempo.time - previous.time) /
+          (60000 / previous.bpm / globals.TICKS_PER_QUARTER);
+      }
+      return {
+        time: tempo.time,
+        bpm: tempo.bpm,
+        tick: Math.round(tick),
+        msPerTick: 60000 / tempo.bpm / globals.TICKS_PER_QUARTER
+      };
+    });
+  }
+
+  /**
+   * Given a list of tempo changes with ticks (see getTempoTicks) and a time
+   * (ms), return the (nearest) tick at that time.
+   */
+  function getTickAtTime(tempoTicks, time) {
+    var i = tempoTicks.length - 1;
+    while ((i > 0) && (tempoTicks[i].time > time)) {
+      i--;
+    }
+    var tempo = tempoTicks[i];
+    return Math.max(
+      0, tempo.tick + Math.round((time - tempo.time) / tempo.msPerTick)
+    );
+  }
+
+  /**
+   * Return the track events setting the tempo (given a list of tempo changes
+   * with ticks, see getTempoTicks) and the time signature (beats per bar, and
+   * the note value of a beat as 4 for a quarter note, 8 for an eighth, etc.).
+   */
+  function getTempoTrackEvents(tempoTicks, beatsPerBar, beatUnit) {
+    // The time signature stores the beat unit as a power of 2, and the
+    // number of MIDI clocks (24 per quarter note) per metronome click
+    var beatUnitPower = Math.round(Math.log2(beatUnit));
+    var clocksPerClick = Math.round(24 * 4 / beatUnit);
+    var trackEvents = [{
+      tick: 0,
+      bytes: [
+        globals.META_STATUS, globals.META_TIME_SIGNATURE, 4, beatsPerBar,
+        beatUnitPower, clocksPerClick, 8
+      ]
+    }];
+    tempoTicks.forEach(function(tempo) {
+      var microsecondsPerQuarter = Math.round(60000000 / tempo.bpm);
+      trackEvents.push({
+        tick: tempo.tick,
+        bytes: [globals.META_STATUS, globals.META_TEMPO, 3].concat(
+          getFixedLengthBytes(microsecondsPerQuarter, 3)
+        )
+      });
+    });
+    return trackEvents;
+  }
+
+  /**
+   * Given a list of notes and a list of tempo changes with ticks (see
+   * getTempoTicks), return a list of track events with a Note On and Note Off
+   * for each note. Note Offs come before Note Ons at the same tick so that a
+   * repeated note isn't cut short.
+   */
+  function getNoteTrackEvents(notes, tempoTicks) {
+    var offEvents = [];
+    var onEvents = [];
+    notes.forEach(function(note) {
+      var channel = (note.channel === undefined) ? 0 : note.channel;
+      var velocity = Math.min(127, Math.max(1, Math.round(note.velocity)));
+      var startTick = getTickAtTime(tempoTicks, note.start);
+      var endTick = Math.max(
+        startTick + 1, getTickAtTime(tempoTicks, note.end)
+      );
+      onEvents.push({
+        tick: startTick,
+        bytes: [(midi.NOTE_ON_START << 4) | channel, note.note, velocity]
+      });
+      offEvents.push({
+        tick: endTick,
+        bytes: [(midi.NOTE_OFF_START << 4) | channel, note.note, 0]
+      });
+    });
+    return offEvents.concat(onEvents);
+  }
+
+  /**
+   * Given a list of control events (see midi.getControlEventFromMessage) and a
+   * list of tempo changes with ticks (see getTempoTicks), return a list of
+   * track events with the message for each.
+   */
+  function getControlTrackEvents(controlEvents, tempoTicks) {
+    return controlEvents.map(function(controlEvent) {
+      return {
+        tick: getTickAtTime(tempoTicks, controlEvent.time),
+        bytes: midi.getControlEventMessage(controlEvent)
+      };
+    });
+  }
+
+  /**
+   * Given a track (see midifile.write) and a list of tempo changes with ticks
+   * (see getTempoTicks), return the track events naming it and playing its
+   * notes and control events.
+   */
+  function getTrackEvents(track, tempoTicks) {
+    var notes = track.notes;
+    var controlEvents = track.controlEvents || [];
+    if (track.channel !== undefined) {
+      notes = notes.map(function(note) {
+        return Object.assign({}, note, {channel: track.channel});
+      });
+      controlEvents = controlEvents.map(function(controlEvent) {
+        return Object.assign({}, controlEvent, {channel: track.channel});
+      });
+    }
+    var trackEvents = [];
+    if (track.name) {
+      var nameBytes = Array.from(new TextEncoder().encode(track.name));
+      trackEvents.push({
+        tick: 0,
+        bytes: [globals.META_STATUS, globals.META_TRACK_NAME].concat(
+          getVariableLengthBytes(nameBytes.length), nameBytes
+        )
+      });
+    }
+    return trackEvents.concat(
+      getNoteTrackEvents(notes, tempoTicks),
+      getControlTrackEvents(controlEvents, tempoTicks)
+    );
+  }
+
+  /**
+   * Given a list of tracks of notes, return a Uint8Array holding a format 1
+   * Standard MIDI File that plays them back at the same times, with the tempo
+   * and time signature in its first track followed by one for each of the
+   * provided tracks.
+   *
+   * The function takes in an argument object with the following attributes:
+   * - tracks: list of tracks, each an object with the following attributes:
+   *   - notes: list of note objects (see playback.play), each of which may
+   *     also have an integer "channel" attribute (0-15, defaults to 0)
+   *   - controlEvents: list of control events (see
+   *     midi.getControlEventFromMessage) to write along with the notes
+   *     (optional)
+   *   - name: name written for the track (optional)
+   *   - channel: MIDI channel (0-15) to write all of the track's messages on
+   *     instead of their own (optional)
+   * - tempos: list of tempo changes in order, each an object with the "time"
+   *   (ms) it happens and the "bpm" (quarter notes per minute) it changes to.
+   *   The first one's time is put at the start of the file (so that bar lines
+   *   end up in the right places); it may be negative to add silence before
+   *   the notes. Defaults to DEFAULT_BPM starting at 0.
+   * - beatsPerBar: top number of the time signature; defaults to 4
+   * - beatUnit: bottom number of the time signature; defaults to 4
+   */
+  midifile.write = function(args) {
+    var tempos = args.tempos || [{time: 0, bpm: globals.DEFAULT_BPM}];
+    var beatsPerBar = (args.beatsPerBar === undefined) ? 4 : args.beatsPerBar;
+    var beatUnit = (args.beatUnit === undefined) ? 4 : args.beatUnit;
+    var tempoTicks = getTempoTicks(tempos);
+    var headerBytes = getChunkBytes("MThd", [].concat(
+      getFixedLengthBytes(1, 2),
+      getFixedLengthBytes(args.tracks.length + 1, 2),
+      getFixedLengthBytes(globals.TICKS_PER_QUARTER, 2)
+    ));
+    var trackBytes = getTrackChunkBytes(
+      getTempoTrackEvents(tempoTicks, beatsPerBar, beatUnit)
+    );
+    args.tracks.forEach(function(track) {
+      trackBytes = trackBytes.concat(
+        getTrackChunkBytes(getTrackEvents(track, tempoTicks))
+      );
+    });
+    return new Uint8Array(headerBytes.concat(trackBytes));
+  };
+
+  /**
+   * Given a Uint8Array, return true if it starts with the header chunk of a
+   * Standard MIDI File.
+   */
+  midifile.isMidiFile = function(bytes) {
+    return (bytes.length >= 4) &&
+      (String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === "MThd");
+  };
+
+  /**
+   * Given a Uint8Array and a position in it, return an object with the
+   * attributes "value" (the MIDI variable-length quantity starting at the
+   * position) and "length" (how many bytes it took up). Throws an Error if the
+   * bytes end before the quantity does.
+   */
+  function readVariableLength(bytes, position) {
+    var value = 0;
+    for (var i=0; i<4; i++) {
+      if (position + i >= bytes.length) {
+        throw new Error("File ends in the middle of a delta time or length.");
+      }
+      var byte = bytes[position + i];
+      value = (value * 128) + (byte & 0x7F);
+      if (!(byte & 0x80)) {
+        return {value: value, length: i + 1};
+      }
+    }
+    throw new Error("Variable-length value at byte " + position +
+      " is longer than 4 bytes.");
+  }
+
+  /**
+   * Given a Uint8Array, a position in it and a number of bytes, return the
+   * unsigned big-endian integer made up of those bytes.
+   */
+  function readFixedLength(bytes, position, byteCount) {
+    var value = 0;
+    for (var i=0; i<byteCount; i++) {
+      value = (value * 256) + bytes[position + i];
+    }
+    return value;
+  }
+
+  /**
+   * Given a Uint8Array, return a list of its chunks, each an object with a
+   * "type" (four character string) and "data" (Uint8Array of the chunk's
+   * contents). Throws an Error if a chunk runs past the end of the file.
+   */
+  function readChunks(bytes) {
+    var chunks = [];
+    var position = 0;
+    while (position + 8 <= bytes.length) {
+      var type = String.fromCharCode.apply(
+        null, bytes.subarray(position, position + 4)
+      );
+      var length = readFixedLength(bytes, position + 4, 4);
+      if (position + 8 + length > bytes.length) {
+        throw new Error("Chunk " + chunks.length + " (" + type + ") is " +
+          length + " bytes long but the file ends first.");
+      }
+      chunks.push({
+        type: type,
+        data: bytes.subarray(position + 8, position + 8 + length)
+      });
+      position += 8 + length;
+    }
+    return chunks;
+  }
+
+  /**
+   * Given the data of an MTrk chunk, return a list of its events in order, each
+   * an object with a "tick" (absolute time), "status" (status byte, with
+   * running status already applied) and "data" (Uint8Array of the bytes after
+   * the status byte, or for meta and system exclusive events, after the
+   * length). Meta events also have a "metaType". Throws an Error describing
+   * the problem if the track can't be read.
+   */
+  function readTrackEvents(data) {
+    var events = [];
+    var position = 0;
+    var tick = 0;
+    var runningStatus = undefined;
+    while (position < data.length) {
+      var delta = readVariableLength(data, position);
+      position += delta.length;
+      tick += delta.value;
+      if (position >= data.length) {
+        throw new Error("Track ends after a delta time.");
+      }
+      var event = {tick: tick, status: data[position]};
+      if (event.status < 0x80) {
+        if (runningStatus === undefined) {
+          throw new Error("Data byte " + event.status + " at byte " +
+            position + " has no running status to apply to it.");
+        }
+        event.status = runningStatus;
+      } else {
+        position++;
+      }
+      var dataLength;
+      if (event.status === globals.META_STATUS) {
+        event.metaType = data[position];
+        var metaLength = readVariableLength(data, position + 1);
+        position += 1 + metaLength.length;
+        dataLength = metaLength.value;
+      } else if ((event.status === globals.SYSEX_STATUS) ||
+          (event.status === globals.SYSEX_ESCAPE_STATUS)) {
+        var sysexLength = readVariableLength(data, position);
+        position += sysexLength.length;
+        dataLength = sysexLength.value;
+      } else if (event.status >= 0xF0) {
+        throw new Error("Unexpected system message " + event.status +
+          " at byte " + (position - 1) + ".");
+      } else {
+        runningStatus = event.status;
+        var statusStart = event.status >> 4;
+        dataLength = ((statusStart === 0xC) || (statusStart === 0xD)) ? 1 : 2;
+      }
+      if (position + dataLength > data.length) {
+        throw new Error("Event at tick " + tick +
+          " runs past the end of the track.");
+      }
+      event.data = data.subarray(position, position + dataLength);
+      position += dataLength;
+      events.push(event);
+      if (event.metaType === globals.META_END_OF_TRACK) {
+        break;
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Given the division field of a file's header and the list of tempo events
+   * (from any track), return a function converting an absolute tick into a
+   * time in milliseconds, following the tempo changes.
+   */
+  function getTickToMsConverter(division, tempoEvents) {
+    if (division & 0x8000) {
+      // SMPTE time: the high byte is the negative frames per second and the
+      // low byte is the ticks per frame
+      var framesPerSecond = 256 - (division >> 8);
+      var msPerTick = 1000 / (framesPerSecond * (division & 0xFF));
+      return function(tick) {
+        return tick * msPerTick;
+      };
+    }
+    // Each segment has the tick and time (ms) it starts at, along with the
+    // length (ms) of a tick until the next segment
+    var segments = [{
+      tick: 0,
+      time: 0,
+      msPerTick: 60000 / globals.DEFAULT_BPM / division
+    }];
+    tempoEvents.slice().sort(function(a, b) {
+      return a.tick - b.tick;
+    }).forEach(function(tempoEvent) {
+      var last = segments[segments.length - 1];
+      segments.push({
+        tick: tempoEvent.tick,
+        time: last.time + ((tempoEvent.tick - last.tick) * last.msPerTick),
+        msPerTick: readFixedLength(tempoEvent.data, 0, 3) / 1000 / division
+      });
+    });
+    return function(tick) {
+      var segment = segments[0];
+      for (var i=1; (i<segments.length) && (segments[i].tick <= tick); i++) {
+        segment = segments[i];
+      }
+      return segment.time + ((tick - segment.tick) * segment.msPerTick);
+    };
+  }
+
+  /**
+   * Given a list of events from a single track, return a list of notes (with
+   * times in ticks) formed by pairing each Note On with the next Note Off of
+   * the same note and channel. Notes never turned off end with the track.
+   */
+  function getTrackNoteTicks(events) {
+    var notes = [];
+    // Map of "channel,note" to a list of the notes still waiting for a Note Off
+    // in the order they started
+    var hangingNotes = {};
+    var lastTick = 0;
+    events.forEach(function(event) {
+      lastTick = event.tick;
+      if (event.status >= 0xF0) {
+        return;
+      }
+      var midiMsg = [event.status, event.data[0], event.data[1]];
+      if (!midi.isNoteMessage(midiMsg)) {
+        return;
+      }
+      var channel = event.status & 0x0F;
+      var noteValue = midi.getNoteFromNoteMessage(midiMsg);
+      var key = channel + "," + noteValue;
+      if (midi.isNoteOnMessage(midiMsg)) {
+        var note = {
+          start: event.tick,
+          note: noteValue,
+          velocity: midi.getVelocityFromNoteMessage(midiMsg),
+          channel: channel
+        };
+        notes.push(note);
+        hangingNotes[key] = (hangingNotes[key] || []).concat([note]);
+      } else if (hangingNotes[key] && hangingNotes[key].length) {
+        hangingNotes[key].shift().end = event.tick;
+      }
+    });
+    notes.forEach(function(note) {
+      if (note.end === undefined) {
+        note.end = lastTick;
+      }
+      // A note off at the same tick as its note on would leave the note with
+      // no length, so give it the smallest length possible instead
+      note.end = Math.max(note.end, note.start + 1);
+    });
+    return notes;
+  }
+
+  /**
+   * Given a list of events from a single track, return a list of the control
+   * events (see midi.getControlEventFromMessage) in it, with times in ticks
+   * and the "channel" (0-15) each was sent on.
+   */
+  function getTrackControlEventTicks(events) {
+    var controlEvents = [];
+    events.forEach(function(event) {
+      if (event.status >= 0xF0) {
+        return;
+      }
+      var controlEvent = midi.getControlEventFromMessage(
+        [event.status, event.data[0], event.data[1]]
+      );
+      if (controlEvent) {
+        controlEvent.time = event.tick;
+        controlEvent.channel = event.status & 0x0F;
+        controlEvents.push(controlEvent);
+      }
+    });
+    return controlEvents;
+  }
+
+  /**
+   * Given a list of events from a single track, return the name given to it
+   * by its first track name event, or undefined if it has none.
+   */
+  function getTrackName(events) {
+    var nameEvent = events.find(function(event) {
+      return event.metaType === globals.META_TRACK_NAME;
+    });
+    return nameEvent ? new TextDecoder().decode(nameEvent.data) : undefined;
+  }
+
+  /**
+   * Given a Uint8Array holding a format 0 or 1 Standard MIDI File, return an
+   * object with the attribute "tracks": a list with an object for each of its
+   * tracks that has any notes or control events (so not the tempo track of a
+   * format 1 file), in order, with the following attributes (times in
+   * milliseconds):
+   * - name: name the file gives the track, or undefined if it has none
+   * - notes: list of notes (see playback.play) ordered by start time, each
+   *   also with the "channel" (0-15) it was played on
+   * - controlEvents: list of control events (see
+   *   midi.getControlEventFromMessage) ordered by time, each also with the
+   *   "channel" it was sent on
+   * Throws an Error describing the problem if the file can't be read.
+   */
+  midifile.read = function(bytes) {
+    if (!midifile.isMidiFile(bytes)) {
+      throw new Error("Missing MThd header.");
+    }
+    var chunks = readChunks(bytes);
+    if (!chunks.length) {
+      throw new Error("File ends in the middle of the header.");
+    }
+    var header = chunks[0].data;
+    if (header.length < 6) {
+      throw new Error("Header is only " + header.length + " bytes long.");
+    }
+    var format = readFixedLength(header, 0, 2);
+    if ((format !== 0) && (format !== 1)) {
+      throw new Error("Format " + format + " files are not supported.");
+    }
+    var division = readFixedLength(header, 4, 2);
+    if (division === 0) {
+      throw new Error("Header has a division of 0 ticks.");
+    }
+    var trackChunks = chunks.filter(function(chunk) {
+      return chunk.type === "MTrk";
+    });
+    var trackEvents = trackChunks.map(function(chunk, i) {
+      try {
+        return readTrackEvents(chunk.data);
+      } catch (e) {
+        throw new Error("Track " + i + ": " + e.message);
+      }
+    });
+    var tempoEvents = [];
+    trackEvents.forEach(function(events) {
+      events.forEach(function(event) {
+        if ((event.metaType === globals.META_TEMPO) &&
+            (event.data.length === 3)) {
+          tempoEvents.push(event);
+        }
+      });
+    });
+    var tickToMs = getTickToMsConverter(division, tempoEvents);
+    var tracks = [];
+    trackEvents.forEach(function(events) {
+      var notes = getTrackNoteTicks(events);
+      var controlEvents = getTrackControlEventTicks(events);
+      if (!notes.length && !controlEvents.length) {
+        return;
+      }
+      notes.forEach(function(note) {
+        note.start = tickToMs(note.start);
+        note.end = tickToMs(note.end);
+      });
+      controlEvents.forEach(function(controlEvent) {
+        controlEvent.time = tickToMs(controlEvent.time);
+      });
+      tracks.push({
+        name: getTrackName(events),
+        notes: notes.sort(function(a, b) {
+          return a.start - b.start;
+        }),
+        controlEvents: controlEvents.sort(function(a, b) {
+          return a.time - b.time;
+        })
+      });
+    });
+    return {tracks: tracks};
+  };
+})();
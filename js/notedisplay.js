@@ -14,14 +14,23 @@ var notedisplay = {};
   // Constants and variables used across functions
   var globals = {
     //// Constants
-    // Height (px) of a single note
-    NOTE_HEIGHT: 3,
+    // Smallest and largest height (px) of a single note
+    MIN_NOTE_HEIGHT: 1,
+    MAX_NOTE_HEIGHT: 24,
     // Space (px) between each note vertically
     NOTE_GAP: 1,
     // Width (px) of the line indicating where in the recording we are
     TIME_BAR_WIDTH: 2,
-    // How many pixels correspond to a millisecond of time
-    PX_PER_MS: 0.1,
+    // Smallest and largest number of pixels that can correspond to a
+    // millisecond of time
+    MIN_PX_PER_MS: 0.001,
+    MAX_PX_PER_MS: 2,
+    // Widest (px) a canvas can be made (browsers refuse to draw larger ones)
+    MAX_CANVAS_WIDTH: 32767,
+    // Amount the zoom changes by for each step of the mouse wheel
+    WHEEL_ZOOM_FACTOR: 1.25,
+    // Shortest length (ms) a note can be stretched to
+    MIN_NOTE_LENGTH: 0.1,
     // Number of pixels on the outward side of a note's edge that the mouse can
     // still be considered over that edge
     EDGE_PAD_OUT: 1,
@@ -32,33 +41,240 @@ var notedisplay = {};
     // (Note that while EDGE_PAD_* modifies the hoverable region by the mouse,
     // EDGE_WIDTH is purely cosmetic.)
     EDGE_WIDTH: 7,
-    // Color of normal, unselected note
-    NOTE_COLOR: "black",
+    // Hues (degrees) of normal, unselected notes at velocities 0 and 127;
+    // notes in between are colored in between, at the saturation and
+    // lightness (%) given
+    NOTE_VELOCITY_HUES: [240, 0],
+    NOTE_SATURATION: 70,
+    NOTE_LIGHTNESS: 40,
     // Color of highlighted note, like when hovered over
     NOTE_HIGHLIGHTED_COLOR: "lightgrey",
     // Color of note that that has been clicked and held down on
     NOTE_MOUSEDOWN_COLOR: "darkgrey",
     // Color of note that is currently selected
     NOTE_SELECTED_COLOR: "silver",
+    // Color of notes on channels other than the one shown (see
+    // notedisplay.showChannel)
+    OTHER_CHANNEL_NOTE_COLOR: "rgba(128, 128, 128, 0.3)",
+    // Opacity (0-1) of the notes of other tracks (see notedisplay.showTracks)
+    OTHER_TRACK_ALPHA: 0.4,
     // Color of the line indicating where in the timeline we are
     TIME_BAR_COLOR: "lightsteelblue",
     // Keys that can be pressed to delete a selection
     DELETE_KEYS: ["Backspace", "Delete", "x"],
     // Key to toggle play/pause
     PLAY_PAUSE_KEY: " ",
+    // Key to tap along with the beat (see tapCallback)
+    TAP_KEY: "t",
+    // Keys that move the selected notes in time and pitch
+    NUDGE_KEYS: ["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown"],
+    // Time (ms) the nudge keys move notes without a grid (and with shift held)
+    NUDGE_DURATION: 10,
+    BIG_NUDGE_DURATION: 100,
+    // Farthest distance (px) a dragged time can be from a note edge or audio
+    // onset to snap to it
+    SNAP_DISTANCE: 8,
     // Color of note that is being dragged
     NOTE_DRAG_COLOR: "orange",
+    // Color of the rectangle dragged out to select notes
+    SELECTION_BOX_COLOR: "steelblue",
+    // Colors of the grid's lines for bars and beats
+    GRID_BAR_COLOR: "darkgrey",
+    GRID_BEAT_COLOR: "gainsboro",
+    // Smallest distance (px) allowed between the grid's beat lines (any
+    // closer and only bar lines are drawn)
+    MIN_GRID_LINE_SPACING: 4,
+    // Smallest distance (px) allowed between bar numbers on the ruler
+    MIN_BAR_LABEL_SPACING: 24,
+    // Farthest distance (px) from a beat of the tempo map the mouse can be
+    // pressed down on the ruler to drag that beat
+    BEAT_GRAB_DISTANCE: 4,
+    // Smallest time (ms) a dragged beat of the tempo map is kept from its
+    // neighbors
+    MIN_BEAT_SPACING: 10,
+    // Height (px) of the ruler above the notes
+    RULER_HEIGHT: 16,
+    // Background color of the ruler
+    RULER_COLOR: "whitesmoke",
+    // Color of the ruler's tick marks and labels
+    RULER_TICK_COLOR: "grey",
+    // Times (ms) that can be used between each tick mark on the ruler; the
+    // shortest one that keeps the tick marks far enough apart is used
+    RULER_TICK_INTERVALS: [
+      10, 50, 100, 500, 1000, 5000, 10000, 30000, 60000, 300000
+    ],
+    // Smallest distance (px) allowed between tick marks on the ruler
+    MIN_RULER_TICK_SPACING: 8,
+    // Number of tick marks between each labeled one on the ruler
+    RULER_TICKS_PER_LABEL: 5,
+    // Color of the loop region on the ruler
+    LOOP_COLOR: "khaki",
+    // Color and height (px) of the strip marking the punch range along the
+    // bottom of the ruler
+    PUNCH_COLOR: "indianred",
+    PUNCH_MARK_HEIGHT: 4,
+    // Smallest distance (px) the mouse must be dragged on the ruler to set a
+    // loop region (any less is considered a click)
+    MIN_LOOP_DRAG: 3,
+    // Height (px) of the velocity lane under the notes
+    VELOCITY_LANE_HEIGHT: 64,
+    // Background color of the velocity lane
+    VELOCITY_LANE_COLOR: "whitesmoke",
+    // Width (px) of each note's bar in the velocity lane
+    VELOCITY_BAR_WIDTH: 3,
+    // Farthest distance (px) from a velocity bar the mouse can be pressed down
+    // to drag it
+    VELOCITY_GRAB_DISTANCE: 2,
+    // Color of the line dragged across the velocity lane to set a ramp
+    VELOCITY_LINE_COLOR: "steelblue",
+    // Height (px) of the controller lane under the velocity lane
+    CONTROL_LANE_HEIGHT: 48,
+    // Background color of the controller lane
+    CONTROL_LANE_COLOR: "whitesmoke",
+    // Color of the line showing a control's value in the controller lane
+    CONTROL_LINE_COLOR: "seagreen",
+    // Size (px) of the dot marking each control event in the controller lane
+    CONTROL_POINT_SIZE: 3,
+    // Distance (px) between the control events drawn in the controller lane
+    CONTROL_DRAW_SPACING: 4,
+    // Names shown beside the controller lane for the controls (see
+    // midi.getControlKey) it's usually showing
+    CONTROL_NAMES: {
+      "controlChange,64": "Sustain",
+      "controlChange,1": "Mod wheel",
+      "controlChange,11": "Expression",
+      "pitchBend": "Pitch bend",
+      "channelPressure": "Aftertouch"
+    },
+    // Height (px) of the audio waveform shown between the ruler and the notes
+    WAVEFORM_HEIGHT: 48,
+    // Number of samples summarized by each point of the waveform's envelope
+    WAVEFORM_BLOCK_SIZE: 128,
+    // Background color of the waveform
+    WAVEFORM_BACKGROUND_COLOR: "white",
+    // Color of the waveform's peaks (loudest samples)
+    WAVEFORM_PEAK_COLOR: "lightsteelblue",
+    // Color of the waveform's RMS (average loudness)
+    WAVEFORM_RMS_COLOR: "steelblue",
+    // Width (px) of the piano keyboard to the left of the notes
+    KEYBOARD_WIDTH: 40,
+    // Fraction of the keyboard's width taken up by the black keys
+    BLACK_KEY_LENGTH: 0.6,
+    // Colors of the keyboard's white and black keys
+    WHITE_KEY_COLOR: "white",
+    BLACK_KEY_COLOR: "dimgrey",
+    // Color of the lines between the keyboard's keys, and of its labels
+    KEY_BORDER_COLOR: "lightgrey",
+    KEY_LABEL_COLOR: "grey",
+    // Font size (px) of the keyboard's labels
+    KEY_LABEL_SIZE: 10,
+    // Background color of the rows of the display belonging to black keys
+    BLACK_KEY_ROW_COLOR: "whitesmoke",
+    // Note values (relative to C) of the black keys in an octave
+    BLACK_KEYS: [1, 3, 6, 8, 10],
+    // Script run as a Web Worker to compute spectrograms
+    SPECTROGRAM_WORKER_URL: "js/spectrogramworker.js",
+    // Time (ms) between each column of the spectrogram
+    SPECTROGRAM_FRAME_DURATION: 30,
+    // Widest (px) each of the images the spectrogram is drawn from can be
+    SPECTROGRAM_TILE_WIDTH: 4096,
+    // Color ([r, g, b]) of the loudest parts of the spectrogram; quieter parts
+    // fade to transparent
+    SPECTROGRAM_COLOR: [148, 0, 211],
+    // Range (dB) of loudness shown at the lowest contrast; the highest
+    // contrast shows SPECTROGRAM_MAX_RANGE less than this
+    SPECTROGRAM_MIN_CONTRAST_RANGE: 120,
+    SPECTROGRAM_MAX_RANGE: 100,
+    // Most (dB) the brightness can shift the spectrogram's levels up or down
+    SPECTROGRAM_MAX_BRIGHTNESS_SHIFT: 30,
     // Keys that can be pressed to delete a selection
     DELETE_KEYS: ["Backspace", "Delete", "x"],
     //// Variables
+    // Height (px) of a single note
+    noteHeight: 3,
+    // How many pixels correspond to a millisecond of time
+    pxPerMs: 0.1,
+    // Element passed to init that houses (and scrolls) the display
+    container: undefined,
+    // Duration (ms) of the audio, which the display is made at least as long
+    // as (0 if there is no audio)
+    audioDuration: 0,
+    // AudioBuffer last passed to showNotes (may be undefined)
+    audioBuffer: undefined,
+    // Summary of the audioBuffer's loudness used to draw its waveform (see
+    // getWaveformEnvelope), or undefined if there is no audio
+    waveformEnvelope: undefined,
+    // Canvas between the ruler and the notes showing the audio's waveform
+    waveformCanvas: undefined,
+    // Canvas under the notes showing their velocities
+    velocityCanvas: undefined,
+    // Velocity edit being dragged out on the velocityCanvas (undefined if
+    // none): an object with the "note" whose bar is being dragged (undefined
+    // if a ramp is being drawn), and the "startCoords" and "coords" of the
+    // mouse
+    velocityDrag: undefined,
+    // Internal control events list used as model (never modified)
+    controlEvents: [],
+    // Control (see midi.getControlKey) shown in the controller lane, or
+    // undefined if the lane is hidden
+    controlKey: undefined,
+    // Canvas under the velocity lane showing the values of the controlKey
+    controlCanvas: undefined,
+    // Element holding the controller lane (hidden along with it)
+    controlLane: undefined,
+    // Element naming the control shown in the controller lane
+    controlLabel: undefined,
+    // Control events being drawn on the controlCanvas (undefined if none):
+    // an object with the "points" [x, y] the mouse has been dragged through
+    // and whether they're "isErasing" the events instead
+    controlDraw: undefined,
+    // Time (ms) the time bar was last shown at
+    time: 0,
     // SVG containing a line that represents time location
     timeBarSvg: undefined,
+    // Canvas above the notes showing time and the loop region
+    rulerCanvas: undefined,
+    // Loop region currently shown (object with "start" and "end" in ms, or
+    // undefined if there is none)
+    loop: undefined,
+    // Punch range currently shown (object with "start" and "end" in ms, or
+    // undefined if there is none)
+    punch: undefined,
+    // X coordinate on the ruler where the mouse was pressed down to drag out a
+    // loop region (undefined if not dragging)
+    loopDragStartX: undefined,
+    // Beat grid shown over the notes (see grid.js), or undefined if there is
+    // none
+    grid: undefined,
+    // Index in the grid's tempo map of the beat being dragged on the ruler
+    // (undefined if not dragging one)
+    draggedBeatIndex: undefined,
+    // Grid from before the beat being dragged was moved, shown again if the
+    // drag is abandoned
+    gridBeforeBeatDrag: undefined,
+    // Canvas to the left of the notes showing a piano keyboard
+    keyboardCanvas: undefined,
+    // Canvas behind the notes, used for the black key rows and the spectrogram
+    backgroundCanvas: undefined,
+    // Options for showing the spectrogram (see notedisplay.showSpectrogram)
+    spectrogramOptions: {visible: false, brightness: 50, contrast: 50},
+    // Map of AudioBuffer to its finished spectrogram (see computeSpectrogram)
+    spectrograms: new WeakMap(),
+    // Spectrogram currently being computed: object with the "audioBuffer",
+    // its "worker", the "promise" resolved when it's done, and the "reject"
+    // function of that promise (undefined if nothing is being computed)
+    spectrogramJob: undefined,
     // Canvas used for displaying the notes
     noteCanvas: undefined,
     // Canvas layer above the noteCanvas used for notes being dragged
     dragCanvas: undefined,
     // Internal notes list used as model (never modified)
     notes: [],
+    // Other tracks shown behind the notes, each an object with its "notes"
+    // and the "color" they're drawn in (see notedisplay.showTracks)
+    otherTracks: [],
+    // Whether the notes can't be selected or moved (see notedisplay.setLocked)
+    isLocked: false,
     // Note currently hovered over
     highlightedNote: undefined,
     // Note that the currently held-down mouse started on when it clicked
@@ -69,8 +285,34 @@ var notedisplay = {};
     mouseDownCoords: undefined,
     // Whether the mouse moved after the last mousedown event
     mouseDownMoved: false,
-    // Note currently selected
-    selectedNote: undefined,
+    // Set of notes currently selected
+    selectedNotes: new Set(),
+    // Notes (compared by value) to select the next time notes are shown, so
+    // edited notes stay selected once the model is updated
+    notesToSelect: [],
+    // Whether the currently held-down mouse is dragging out a rectangle to
+    // select notes in
+    isSelectingBox: false,
+    // Whether the current mousedown event adds to or removes from the
+    // selection (shift or ctrl/cmd held) instead of replacing it
+    isTogglingSelection: false,
+    // Coordinates [x, y] of the cursor over the dragCanvas (undefined if it
+    // isn't over it)
+    hoverCoords: undefined,
+    // Whether the next paste should put the notes at the hovered pitch
+    isPastingAtHoveredPitch: false,
+    // Whether dragging on empty space draws a new note
+    isDrawMode: false,
+    // Whether the currently held-down mouse is drawing a new note
+    isDrawingNote: false,
+    // Velocity given to drawn notes (that of the last note clicked on, or 100
+    // until one is)
+    drawVelocity: 100,
+    // Channel (0-15) whose notes (and control events) can be edited, with the
+    // rest shown faded behind them, or undefined to edit every channel
+    channel: undefined,
+    // Options for snapping dragged times (see notedisplay.setSnap)
+    snap: {enabled: false, target: "grid", division: 16, onsets: []},
     // Keeps track of whether the canvas can be treated as being 'in focus'
     // (since a canvas element can never be actually in focus)
     isFocused: false,
@@ -78,21 +320,55 @@ var notedisplay = {};
     deleteCallback: undefined,
     // Callback for when a note is 'updated' by the user
     updateCallback: undefined,
+    // Callback for when a note is drawn by the user
+    createCallback: undefined,
+    // Callback for when notes are pasted by the user
+    pasteCallback: undefined,
     // Callback for when a time is seeked (sought?) by the user
     setTimeCallback: undefined,
     // Callback for when the user toggles play/pause
     playPauseCallback: undefined,
     // Callback for when the user toggles play/pause (keep spot)
     playPauseKeepSpotCallback: undefined,
+    // Callback for when the user sets or clears the loop region
+    setLoopCallback: undefined,
+    // Callback for when the user wants to undo the last edit
+    undoCallback: undefined,
+    // Callback for when the user wants to redo the last undone edit
+    redoCallback: undefined,
+    // Callback for when the user clicks a key of the keyboard to hear it
+    auditionCallback: undefined,
+    // Callback for when the user taps along with the beat
+    tapCallback: undefined,
+    // Callback for when the user changes the grid (by dragging a beat)
+    setGridCallback: undefined,
+    // Callback for when the user draws or erases control events
+    setControlEventsCallback: undefined,
     // Whether the time bar is being continously updated
     isContinuouslyUpdatingTime: false
   };
 
+  /**
+   * Return the height (px) of a row of the display (one MIDI note value).
+   */
+  function getRowHeight() {
+    return globals.noteHeight + globals.NOTE_GAP;
+  }
+
+  /**
+   * Return the height (px) of everything shown above the notes (the ruler, and
+   * the waveform if there's audio).
+   */
+  function getHeaderHeight() {
+    return globals.RULER_HEIGHT +
+      (globals.waveformEnvelope ? globals.WAVEFORM_HEIGHT : 0);
+  }
+
   /**
    * Return the height (px) of the display.
    */
   function getDisplayHeight() {
-    return (globals.NOTE_HEIGHT + globals.NOTE_GAP) * 128;
+    return getRowHeight() * 128;
   }
 
   /**
@@ -111,8 +387,10 @@ var notedisplay = {};
     timeBarLine.setAttributeNS(null, "stroke", globals.TIME_BAR_COLOR);
     globals.timeBarSvg.setAttributeNS(null, "width", globals.TIME_BAR_WIDTH);
     timeBarLine.setAttributeNS(null, "stroke-width", globals.TIME_BAR_WIDTH);
-    globals.timeBarSvg.setAttributeNS(null, "height", getDisplayHeight());
-    timeBarLine.setAttributeNS(null, "y2", getDisplayHeight());
+    var height = getHeaderHeight() + getDisplayHeight();
+    globals.timeBarSvg.setAttributeNS(null, "height", height);
+    timeBarLine.setAttributeNS(null, "y2", height);
+    globals.timeBarSvg.style.zIndex = 2;
     container.appendChild(globals.timeBarSvg);
   }
 
@@ -131,10 +409,10 @@ var notedisplay = {};
    * order of left, top, right, bottom (x0, y0, x1, y1).
    */
   function getNoteCoords(note) {
-    var x0 = Math.floor(note.start * globals.PX_PER_MS);
-    var y0 = (127 - note.note) * (globals.NOTE_HEIGHT + globals.NOTE_GAP);
-    var x1 = Math.ceil(note.end * globals.PX_PER_MS);
-    var y1 = y0 + globals.NOTE_HEIGHT;
+    var x0 = Math.floor(note.start * globals.pxPerMs);
+    var y0 = (127 - note.note) * getRowHeight();
+    var x1 = Math.ceil(note.end * globals.pxPerMs);
+    var y1 = y0 + globals.noteHeight;
     return [x0, y0, x1, y1];
   }
 
@@ -185,8 +463,9 @@ var notedisplay = {};
    * matched and "edge", either "left" or "right"; otherwise, return undefined.
    */
   function getNoteEdgeInCoords(x, y) {
-    for (var i=0; i<globals.notes.length; i++) {
-      var note = globals.notes[i];
+    var notes = getSelectableNotes();
+    for (var i=0; i<notes.length; i++) {
+      var note = notes[i];
       if (isInNoteEdge(x, y, note, "left")) {
         return {note: note, edge: "left"};
       } else if (isInNoteEdge(x, y, note, "right")) {
@@ -222,8 +501,9 @@ var notedisplay = {};
    * otherwise, return undefined.
    */
   function getNoteInCoords(x, y) {
-    for (var i=0; i<globals.notes.length; i++) {
-      var note = globals.notes[i];
+    var notes = getSelectableNotes();
+    for (var i=0; i<notes.length; i++) {
+      var note = notes[i];
       if (isInNote(x, y, note)) {
         return note;
       }
@@ -270,19 +550,61 @@ var notedisplay = {};
     ctx.stroke();
   }
 
+  /**
+   * Return the color of the provided note when it isn't selected, highlighted,
+   * etc., which shows its velocity (see NOTE_VELOCITY_HUES).
+   */
+  function getNoteColor(note) {
+    var [lowHue, highHue] = globals.NOTE_VELOCITY_HUES;
+    var hue = lowHue + ((highHue - lowHue) * note.velocity / 127);
+    return "hsl(" + hue + ", " + globals.NOTE_SATURATION + "%, " +
+      globals.NOTE_LIGHTNESS + "%)";
+  }
+
+  /**
+   * Return true if the provided note (or control event) is on the channel
+   * shown (see notedisplay.showChannel), so it can be edited. Notes without a
+   * channel are on channel 0.
+   */
+  function isOnShownChannel(note) {
+    return (globals.channel === undefined) ||
+      ((note.channel || 0) === globals.channel);
+  }
+
+  /**
+   * Return the list of notes that can be edited: the ones on the shown
+   * channel (see isOnShownChannel).
+   */
+  function getEditableNotes() {
+    return globals.notes.filter(isOnShownChannel);
+  }
+
+  /**
+   * Return the list of notes that can be selected and dragged: the editable
+   * ones (see getEditableNotes), or none if the notes are locked.
+   */
+  function getSelectableNotes() {
+    return globals.isLocked ? [] : getEditableNotes();
+  }
+
   /**
    * Given a note and CanvasRenderingContext2D, check if the note is any of the
    * special notes (highlighted, selected, mousedown) and draw it accordingly.
+   * Notes on other channels than the shown one are drawn faded.
    */
   function drawNote(note, ctx) {
+    if (!isOnShownChannel(note)) {
+      drawNoteWithColor(note, globals.OTHER_CHANNEL_NOTE_COLOR, ctx);
+      return;
+    }
     if (note === globals.mouseDownNote) {
       drawNoteWithColor(note, globals.NOTE_MOUSEDOWN_COLOR, ctx);
-    } else if (note === globals.selectedNote) {
+    } else if (globals.selectedNotes.has(note)) {
       drawNoteWithColor(note, globals.NOTE_SELECTED_COLOR, ctx);
     } else if (note === globals.highlightedNote) {
       drawNoteWithColor(note, globals.NOTE_HIGHLIGHTED_COLOR, ctx);
     } else {
-      drawNoteWithColor(note, globals.NOTE_COLOR, ctx);
+      drawNoteWithColor(note, getNoteColor(note), ctx);
     }
     if (globals.mouseDownNoteEdge &&
         (note === globals.mouseDownNoteEdge.note)) {
@@ -328,8 +650,8 @@ var notedisplay = {};
    */
   function getNoteShifted(note, start, end) {
     var newNote = {};
-    var dt = (end[0] - start[0]) / globals.PX_PER_MS;
-    var dNote = (start[1] - end[1]) / (globals.NOTE_HEIGHT + globals.NOTE_GAP);
+    var dt = (end[0] - start[0]) / globals.pxPerMs;
+    var dNote = (start[1] - end[1]) / getRowHeight();
     Object.assign(newNote, note, {
       start: note.start + dt,
       end: note.end + dt,
@@ -347,24 +669,90 @@ var notedisplay = {};
     newNote.note = note.note;
     if (edge === "left") {
       newNote.end = note.end;
-      if (newNote.start >= (newNote.end - globals.PX_PER_MS)) {
-        newNote.start = newNote.end - globals.PX_PER_MS;
+      if (newNote.start >= (newNote.end - globals.MIN_NOTE_LENGTH)) {
+        newNote.start = newNote.end - globals.MIN_NOTE_LENGTH;
       }
     } else {
       newNote.start = note.start;
-      if (newNote.end <= (newNote.start + globals.PX_PER_MS)) {
-        newNote.end = newNote.start + globals.PX_PER_MS;
+      if (newNote.end <= (newNote.start + globals.MIN_NOTE_LENGTH)) {
+        newNote.end = newNote.start + globals.MIN_NOTE_LENGTH;
       }
     }
     return newNote;
   }
 
+  /**
+   * Given a MouseEvent, return whether times dragged with it should snap:
+   * whether snapping is on, unless alt is held to switch it.
+   */
+  function isSnapping(mouseEvent) {
+    return globals.snap.enabled !== mouseEvent.altKey;
+  }
+
+  /**
+   * Given a time (ms) and a list of notes (being dragged, so they aren't
+   * snapped to), return the time it snaps to (see notedisplay.setSnap), or the
+   * same time if there's nothing to snap to close enough.
+   */
+  function getSnappedTime(time, draggedNotes) {
+    if (globals.snap.target === "grid") {
+      if (!globals.grid) {
+        return time;
+      }
+      return grid.quantizeTime(globals.grid, time, {
+        division: globals.snap.division,
+        swing: 0
+      });
+    }
+    var times = globals.snap.onsets;
+    if (globals.snap.target === "notes") {
+      times = [];
+      globals.notes.forEach(function(note) {
+        if (!draggedNotes.includes(note)) {
+          times.push(note.start, note.end);
+        }
+      });
+      globals.otherTracks.forEach(function(track) {
+        track.notes.forEach(function(note) {
+          times.push(note.start, note.end);
+        });
+      });
+    }
+    var snappedTime = time;
+    var maxDistance = globals.SNAP_DISTANCE / globals.pxPerMs;
+    times.forEach(function(snapTime) {
+      if (Math.abs(snapTime - time) <= maxDistance) {
+        maxDistance = Math.abs(snapTime - time);
+        snappedTime = snapTime;
+      }
+    });
+    return snappedTime;
+  }
+
+  /**
+   * Given the coordinates the mouse has been dragged to, the time (ms) that
+   * was under the mouse when it was pressed down (like the held-down note's
+   * start), and the list of notes being dragged, return the coordinates moved
+   * so that time lands where it snaps to.
+   */
+  function getSnappedCoords(coords, time, draggedNotes) {
+    var draggedTime = time +
+      ((coords[0] - globals.mouseDownCoords[0]) / globals.pxPerMs);
+    var snappedTime = getSnappedTime(draggedTime, draggedNotes);
+    return [
+      coords[0] + ((snappedTime - draggedTime) * globals.pxPerMs),
+      coords[1]
+    ];
+  }
+
   /**
    * If a note is set as having the mouse held down over it, remove it from
    * that designation and redraw it as normal.
    */
   function clearMouseDown() {
     globals.mouseDownCoords = undefined;
+    globals.isDrawingNote = false;
+    globals.isSelectingBox = false;
     if (globals.mouseDownNote) {
       var note = globals.mouseDownNote;
       globals.mouseDownNote = undefined;
@@ -377,6 +765,106 @@ var notedisplay = {};
     }
   }
 
+  /**
+   * Given the coordinates where the mouse was pressed down, the current
+   * coordinates, and whether to snap (see isSnapping), return the note being
+   * drawn between them: at the pitch of the row first pressed on, spanning the
+   * time between the two.
+   */
+  function getDrawnNote(startCoords, coords, shouldSnap) {
+    var note = 127 - Math.floor(startCoords[1] / getRowHeight());
+    var x0 = Math.min(startCoords[0], coords[0]);
+    var x1 = Math.max(startCoords[0], coords[0]);
+    var start = Math.max(0, x0 / globals.pxPerMs);
+    var end = Math.max(0, x1 / globals.pxPerMs);
+    if (shouldSnap) {
+      start = Math.max(0, getSnappedTime(start, []));
+      end = Math.max(0, getSnappedTime(end, []));
+    }
+    return {
+      start: start,
+      end: end,
+      note: Math.max(0, Math.min(127, note)),
+      velocity: globals.drawVelocity,
+      channel: (globals.channel === undefined) ? 0 : globals.channel
+    };
+  }
+
+  /**
+   * Return the list of notes that dragging the held-down note (or note edge)
+   * applies to: the whole selection, along with the held-down note if it isn't
+   * already part of it.
+   */
+  function getDraggedNotes() {
+    var note = globals.mouseDownNote || globals.mouseDownNoteEdge.note;
+    var draggedNotes = Array.from(globals.selectedNotes);
+    if (!globals.selectedNotes.has(note)) {
+      draggedNotes.push(note);
+    }
+    return draggedNotes;
+  }
+
+  /**
+   * Given the coordinates the mouse has been dragged to while holding down a
+   * note (or note edge) and whether to snap (see isSnapping), return a list of
+   * the dragged notes (see getDraggedNotes) as they'd be if the mouse were
+   * released there: all shifted, or all stretched on the same edge, by the
+   * same amount. When snapping, that amount lands the held-down note's start
+   * (or held-down edge) where it snaps to. The amount is held back so that no
+   * note leaves the display (starts before 0 or goes outside of 0-127).
+   */
+  function getDraggedNotesMoved(coords, shouldSnap) {
+    var draggedNotes = getDraggedNotes();
+    if (shouldSnap) {
+      var edge = globals.mouseDownNoteEdge;
+      var time = globals.mouseDownNote ? globals.mouseDownNote.start :
+        (edge.edge === "left") ? edge.note.start : edge.note.end;
+      coords = getSnappedCoords(coords, time, draggedNotes);
+    }
+    if (!globals.mouseDownNote) {
+      return draggedNotes.map(function(note) {
+        var newNote = getNoteStretched(
+          note, globals.mouseDownNoteEdge.edge, globals.mouseDownCoords, coords
+        );
+        newNote.start = Math.max(0, newNote.start);
+        return newNote;
+      });
+    }
+    var movedNotes = draggedNotes.map(function(note) {
+      return getNoteShifted(note, globals.mouseDownCoords, coords);
+    });
+    var dt = -Math.min(0, Math.min.apply(null, movedNotes.map(function(note) {
+      return note.start;
+    })));
+    var noteValues = movedNotes.map(function(note) {
+      return note.note;
+    });
+    var dNote = -Math.min(0, Math.min.apply(null, noteValues)) -
+      Math.max(0, Math.max.apply(null, noteValues) - 127);
+    return movedNotes.map(function(note) {
+      return Object.assign(note, {
+        start: note.start + dt,
+        end: note.end + dt,
+        note: note.note + dNote
+      });
+    });
+  }
+
+  /**
+   * Given two coordinates of opposite corners of a rectangle, return the list
+   * of notes that the rectangle touches.
+   */
+  function getNotesInBox(corner1, corner2) {
+    var left = Math.min(corner1[0], corner2[0]);
+    var right = Math.max(corner1[0], corner2[0]);
+    var top = Math.min(corner1[1], corner2[1]);
+    var bottom = Math.max(corner1[1], corner2[1]);
+    return getSelectableNotes().filter(function(note) {
+      var [x0, y0, x1, y1] = getNoteCoords(note);
+      return (x0 <= right) && (x1 >= left) && (y0 <= bottom) && (y1 >= top);
+    });
+  }
+
   /**
    * Called when the cursor has hovered over the specified x and y coordinates
    * of the dragCanvas.
@@ -384,20 +872,33 @@ var notedisplay = {};
   function onMouseMoveDragCanvas(mouseEvent) {
     var coords = getCanvasCoordsFromMouseEvent(mouseEvent, globals.noteCanvas);
     globals.mouseDownMoved = true;
+    globals.hoverCoords = coords;
     var hoveredNoteEdge = getNoteEdgeFromMouseEvent(mouseEvent);
     var hoveredNote = getNoteFromMouseEvent(mouseEvent);
     clearHighlight();
     clearDrag();
-    if (globals.mouseDownNote) {
-      var dragNote = getNoteShifted(globals.mouseDownNote,
-        globals.mouseDownCoords, coords);
+    if (globals.mouseDownNote || globals.mouseDownNoteEdge) {
       var ctx = globals.dragCanvas.getContext("2d");
-      drawNoteWithColor(dragNote, globals.NOTE_DRAG_COLOR, ctx);
-    } else if (globals.mouseDownNoteEdge) {
-      var stretchNote = getNoteStretched(globals.mouseDownNoteEdge.note,
-        globals.mouseDownNoteEdge.edge, globals.mouseDownCoords, coords);
+      var movedNotes = getDraggedNotesMoved(coords, isSnapping(mouseEvent));
+      movedNotes.forEach(function(dragNote) {
+        drawNoteWithColor(dragNote, globals.NOTE_DRAG_COLOR, ctx);
+      });
+    } else if (globals.isSelectingBox) {
+      var ctx = globals.dragCanvas.getContext("2d");
+      ctx.strokeStyle = globals.SELECTION_BOX_COLOR;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(
+        Math.min(globals.mouseDownCoords[0], coords[0]) + 0.5,
+        Math.min(globals.mouseDownCoords[1], coords[1]) + 0.5,
+        Math.abs(coords[0] - globals.mouseDownCoords[0]),
+        Math.abs(coords[1] - globals.mouseDownCoords[1])
+      );
+    } else if (globals.isDrawingNote) {
+      var drawnNote = getDrawnNote(
+        globals.mouseDownCoords, coords, isSnapping(mouseEvent)
+      );
       var ctx = globals.dragCanvas.getContext("2d");
-      drawNoteWithColor(stretchNote, globals.NOTE_DRAG_COLOR, ctx);
+      drawNoteWithColor(drawnNote, globals.NOTE_DRAG_COLOR, ctx);
     } else if (hoveredNoteEdge) {
       globals.highlightedNoteEdge = hoveredNoteEdge;
       drawNote(hoveredNoteEdge.note, globals.noteCanvas.getContext("2d"));
@@ -412,20 +913,47 @@ var notedisplay = {};
    */
   function onMouseLeaveDragCanvas(mouseEvent) {
     globals.mouseDownCoords = undefined;
+    globals.hoverCoords = undefined;
     clearHighlight();
     clearMouseDown();
     clearDrag();
   }
 
   /**
-   * If there's a selected note, remove it and redraw it.
+   * If there are selected notes, deselect them and redraw them.
    */
   function clearSelection() {
-    if (globals.selectedNote) {
-      var note = globals.selectedNote;
-      globals.selectedNote = undefined;
-      drawNote(note, globals.noteCanvas.getContext("2d"));
+    var notes = Array.from(globals.selectedNotes);
+    globals.selectedNotes.clear();
+    var ctx = globals.noteCanvas.getContext("2d");
+    notes.forEach(function(note) { drawNote(note, ctx); });
+    drawVelocityLane();
+  }
+
+  /**
+   * Add the provided list of notes to the selection and redraw them.
+   */
+  function selectNotes(notes) {
+    var ctx = globals.noteCanvas.getContext("2d");
+    notes.forEach(function(note) {
+      globals.selectedNotes.add(note);
+      drawNote(note, ctx);
+    });
+    drawVelocityLane();
+  }
+
+  /**
+   * Add the provided note to the selection if it isn't in it, or remove it if
+   * it is, and redraw it.
+   */
+  function toggleSelected(note) {
+    if (globals.selectedNotes.has(note)) {
+      globals.selectedNotes.delete(note);
+    } else {
+      globals.selectedNotes.add(note);
     }
+    drawNote(note, globals.noteCanvas.getContext("2d"));
+    drawVelocityLane();
   }
 
   /**
@@ -443,16 +971,33 @@ var notedisplay = {};
     globals.mouseDownMoved = false;
     var mouseDownNoteEdge = getNoteEdgeFromMouseEvent(mouseEvent);
     var mouseDownNote = getNoteFromMouseEvent(mouseEvent);
-    clearSelection();
+    var clickedNote = mouseDownNoteEdge
+      ? mouseDownNoteEdge.note
+      : mouseDownNote;
+    globals.isTogglingSelection = mouseEvent.shiftKey || mouseEvent.ctrlKey ||
+      mouseEvent.metaKey;
+    // Pressing on a selected note drags the whole selection; otherwise the
+    // selection is replaced unless it's being added to
+    if (!globals.isTogglingSelection &&
+        !(clickedNote && globals.selectedNotes.has(clickedNote))) {
+      clearSelection();
+    }
     clearMouseDown();
     globals.mouseDownCoords = getCanvasCoordsFromMouseEvent(mouseEvent,
       globals.noteCanvas);
+    if (clickedNote && (clickedNote.velocity !== undefined)) {
+      globals.drawVelocity = clickedNote.velocity;
+    }
     if (mouseDownNoteEdge) {
       globals.mouseDownNoteEdge = mouseDownNoteEdge;
       drawNote(mouseDownNoteEdge.note, globals.noteCanvas.getContext("2d"));
     } else if (mouseDownNote) {
       globals.mouseDownNote = mouseDownNote;
       drawNote(mouseDownNote, globals.noteCanvas.getContext("2d"));
+    } else if (globals.isDrawMode) {
+      globals.isDrawingNote = true;
+    } else {
+      globals.isSelectingBox = true;
     }
   }
 
@@ -471,26 +1016,37 @@ var notedisplay = {};
   function onMouseUpDragCanvas(mouseEvent) {
     var coords = getCanvasCoordsFromMouseEvent(mouseEvent, globals.dragCanvas);
     var mouseUpNote = getNoteFromMouseEvent(mouseEvent);
-    clearSelection();
     clearDrag();
+    var isClick = globals.mouseDownCoords &&
+      (coords[0] === globals.mouseDownCoords[0]) &&
+      (coords[1] === globals.mouseDownCoords[1]);
     if (globals.mouseDownNote || globals.mouseDownNoteEdge) {
-      if ((coords[0] === globals.mouseDownCoords[0]) &&
-          (coords[1] === globals.mouseDownCoords[1])) {
-        globals.selectedNote = mouseUpNote;
-        drawNote(globals.selectedNote, globals.noteCanvas.getContext("2d"));
+      if (isClick && globals.isTogglingSelection) {
+        toggleSelected(mouseUpNote);
+      } else if (isClick) {
+        clearSelection();
+        selectNotes([mouseUpNote]);
       } else if (globals.updateCallback) {
-        var noteI = globals.notes.indexOf(globals.mouseDownNote ?
-          globals.mouseDownNote : globals.mouseDownNoteEdge.note);
-        globals.updateCallback(noteI, globals.mouseDownNote ?
-          getNoteShifted(
-            globals.mouseDownNote, globals.mouseDownCoords, coords
-          ) : getNoteStretched(
-            globals.mouseDownNoteEdge.note, globals.mouseDownNoteEdge.edge,
-            globals.mouseDownCoords, coords
-        ));
+        var draggedNotes = getDraggedNotes();
+        var newNotes = getDraggedNotesMoved(coords, isSnapping(mouseEvent));
+        globals.notesToSelect = newNotes;
+        globals.updateCallback(draggedNotes.map(function(note) {
+          return globals.notes.indexOf(note);
+        }), newNotes);
+      }
+    } else if (globals.isSelectingBox && !isClick) {
+      selectNotes(getNotesInBox(globals.mouseDownCoords, coords));
+    } else if (globals.isDrawingNote &&
+        (coords[0] !== globals.mouseDownCoords[0])) {
+      var drawnNote = getDrawnNote(
+        globals.mouseDownCoords, coords, isSnapping(mouseEvent)
+      );
+      if (globals.createCallback &&
+          (drawnNote.end - drawnNote.start >= globals.MIN_NOTE_LENGTH)) {
+        globals.createCallback(drawnNote);
       }
     } else if (globals.mouseDownCoords && !globals.mouseDownMoved) {
-      var offsetTime = globals.mouseDownCoords[0] / globals.PX_PER_MS;
+      var offsetTime = globals.mouseDownCoords[0] / globals.pxPerMs;
       if (globals.setTimeCallback) {
         globals.setTimeCallback(offsetTime);
       }
@@ -498,6 +1054,64 @@ var notedisplay = {};
     clearMouseDown();
   }
 
+  /**
+   * Given a note, the direction to nudge it in time (1 for later, -1 for
+   * earlier), and whether to take a big step, return a copy of it nudged. With
+   * a grid, it moves by the snap division (see notedisplay.setSnap) or a beat
+   * for a big step; otherwise, by NUDGE_DURATION or BIG_NUDGE_DURATION.
+   */
+  function getNoteNudged(note, direction, isBig) {
+    var newNote = Object.assign({}, note);
+    if (!globals.grid) {
+      var duration = isBig ? globals.BIG_NUDGE_DURATION :
+        globals.NUDGE_DURATION;
+      newNote.start += direction * duration;
+      newNote.end += direction * duration;
+      return newNote;
+    }
+    var step = isBig ? 1 : (globals.grid.beatUnit / globals.snap.division);
+    var beatShift = direction * step;
+    newNote.start = grid.beatToTime(
+      globals.grid, grid.timeToBeat(globals.grid, note.start) + beatShift
+    );
+    newNote.end = grid.beatToTime(
+      globals.grid, grid.timeToBeat(globals.grid, note.end) + beatShift
+    );
+    return newNote;
+  }
+
+  /**
+   * Given which nudge key (see NUDGE_KEYS) was pressed and whether shift was
+   * held, move the selected notes: up or down a semitone (or an octave with
+   * shift), or earlier or later (see getNoteNudged). Nothing moves if any note
+   * would leave the display.
+   */
+  function nudgeSelectedNotes(key, isBig) {
+    var notes = Array.from(globals.selectedNotes);
+    var newNotes;
+    if ((key === "ArrowUp") || (key === "ArrowDown")) {
+      var dNote = (isBig ? 12 : 1) * ((key === "ArrowUp") ? 1 : -1);
+      newNotes = notes.map(function(note) {
+        return Object.assign({}, note, {note: note.note + dNote});
+      });
+    } else {
+      var direction = (key === "ArrowRight") ? 1 : -1;
+      newNotes = notes.map(function(note) {
+        return getNoteNudged(note, direction, isBig);
+      });
+    }
+    var isOutside = newNotes.some(function(note) {
+      return (note.start < 0) || (note.note < 0) || (note.note > 127);
+    });
+    if (isOutside || !globals.updateCallback) {
+      return;
+    }
+    globals.notesToSelect = newNotes;
+    globals.updateCallback(notes.map(function(note) {
+      return globals.notes.indexOf(note);
+    }), newNotes);
+  }
+
   /**
    * Called when a key is pressed down in the document.
    *
@@ -519,9 +1133,32 @@ var notedisplay = {};
     } else if (keyboardEvent.key === " ") {
       keyboardEvent.preventDefault();
     }
-    if (globals.DELETE_KEYS.includes(keyboardEvent.key)) {
-      if (globals.selectedNote && globals.deleteCallback) {
-        globals.deleteCallback(globals.selectedNote);
+    var key = keyboardEvent.key.toLowerCase();
+    if ((keyboardEvent.ctrlKey || keyboardEvent.metaKey) &&
+        ((key === "z") || (key === "y"))) {
+      // Keep the browser from undoing something else on the page
+      keyboardEvent.preventDefault();
+      if (keyboardEvent.shiftKey || (key === "y")) {
+        if (globals.redoCallback) {
+          globals.redoCallback();
+        }
+      } else if (globals.undoCallback) {
+        globals.undoCallback();
+      }
+    } else if ((keyboardEvent.ctrlKey || keyboardEvent.metaKey) &&
+        (key === "v")) {
+      // The paste itself is handled by onPasteDocument
+      globals.isPastingAtHoveredPitch = keyboardEvent.shiftKey;
+    } else if ((keyboardEvent.ctrlKey || keyboardEvent.metaKey) &&
+        (key === "a")) {
+      // Keep the browser from selecting the text on the page
+      keyboardEvent.preventDefault();
+      selectNotes(getSelectableNotes());
+    } else if (globals.DELETE_KEYS.includes(keyboardEvent.key) &&
+        !(keyboardEvent.ctrlKey || keyboardEvent.metaKey)) {
+      // (Ctrl-X is left to onCutDocument)
+      if (globals.selectedNotes.size && globals.deleteCallback) {
+        globals.deleteCallback(Array.from(globals.selectedNotes));
       }
     } else if (keyboardEvent.key === globals.PLAY_PAUSE_KEY) {
       if (keyboardEvent.shiftKey) {
@@ -531,131 +1168,1739 @@ var notedisplay = {};
       } else if (globals.playPauseCallback) {
         globals.playPauseCallback();
       }
+    } else if (globals.NUDGE_KEYS.includes(keyboardEvent.key) &&
+        globals.selectedNotes.size &&
+        !(keyboardEvent.ctrlKey || keyboardEvent.metaKey)) {
+      // Keep the display from scrolling
+      keyboardEvent.preventDefault();
+      nudgeSelectedNotes(keyboardEvent.key, keyboardEvent.shiftKey);
+    } else if ((key === globals.TAP_KEY) && !keyboardEvent.repeat &&
+        !(keyboardEvent.ctrlKey || keyboardEvent.metaKey)) {
+      if (globals.tapCallback) {
+        globals.tapCallback();
+      }
     }
   }
 
   /**
-   * Given the container element housing the display, create and append canvas
-   * objects that will be used for displaying notes.
+   * Called when the user copies (or cuts) in the document. If the canvas is 'in
+   * focus' and notes are selected, put them on the clipboard as text: a JSON
+   * list of notes (like a saved notes file) with their times relative to the
+   * first one's start. Return true if notes were copied.
    */
-  function initNoteCanvas(container) {
-    var canvasWrap = document.createElement("div");
-    canvasWrap.style.whiteSpace = "nowrap";
-    globals.noteCanvas = document.createElement("canvas");
-    globals.noteCanvas.width = 0;
-    globals.noteCanvas.height = getDisplayHeight();
-    canvasWrap.appendChild(globals.noteCanvas);
-    globals.dragCanvas = document.createElement("canvas");
-    globals.dragCanvas.width = 0;
-    globals.dragCanvas.height = 0;
-    globals.dragCanvas.style.position = "relative";
-    globals.dragCanvas.style.zIndex = 1;
-    globals.dragCanvas.addEventListener("mousemove", onMouseMoveDragCanvas);
-    globals.dragCanvas.addEventListener("mouseleave", onMouseLeaveDragCanvas);
-    globals.dragCanvas.addEventListener("mousedown", onMouseDownDragCanvas);
-    document.addEventListener("mousedown", onMouseDownDocument);
-    globals.dragCanvas.addEventListener("mouseup", onMouseUpDragCanvas);
-    document.addEventListener("keydown", onKeyDownDocument);
-    canvasWrap.appendChild(globals.dragCanvas);
-    container.appendChild(canvasWrap);
+  function onCopyDocument(clipboardEvent) {
+    if (!globals.isFocused || !globals.selectedNotes.size) {
+      return false;
+    }
+    var notes = Array.from(globals.selectedNotes).sort(function(a, b) {
+      return a.start - b.start;
+    });
+    var firstStart = notes[0].start;
+    var copiedNotes = notes.map(function(note) {
+      return Object.assign({}, note, {
+        start: note.start - firstStart,
+        end: note.end - firstStart
+      });
+    });
+    clipboardEvent.clipboardData.setData(
+      "text/plain", JSON.stringify(copiedNotes)
+    );
+    clipboardEvent.preventDefault();
+    return true;
   }
 
   /**
-   * Initialize the canvases used for the display as children of the provided
-   * element. The deleteCallback will be called with the argument of a note if
-   * the user ever tries to 'delete' said note. The updateCallback will be
-   * called with the arguments index newNote if the user tries to 'update' the
-   * note at index to newNote. The setTimeCallback will be called with the
-   * argument of the time (ms) the user wants to move the time bar to.
-   *
-   * This function must be called first before you can use other display
-   * functions.
+   * Called when the user cuts in the document; copies the selected notes (see
+   * onCopyDocument), then deletes them.
    */
-  notedisplay.init = function(container, deleteCallback, updateCallback,
-      setTimeCallback, playPauseCallback, playPauseKeepSpotCallback) {
-    initTimeBarSvg(container);
-    initNoteCanvas(container);
-    globals.deleteCallback = deleteCallback;
-    globals.updateCallback = updateCallback;
-    globals.setTimeCallback = setTimeCallback;
-    globals.playPauseCallback = playPauseCallback;
-    globals.playPauseKeepSpotCallback = playPauseKeepSpotCallback;
-  };
+  function onCutDocument(clipboardEvent) {
+    if (onCopyDocument(clipboardEvent) && globals.deleteCallback) {
+      globals.deleteCallback(Array.from(globals.selectedNotes));
+    }
+  }
 
   /**
-   * Given a list of notes, make a copy of it for our own internal use and store
-   * it globally, never to be modified, just updated using this function.
-   *
-   * Ideally, we wouldn't store these notes globally but just implicitly in the
-   * event listeners since they're only used there, but since we would then have
-   * to keep around the event listeners to be able to replace them, we might as
-   * well just keep the notes model around.
+   * Called when the user pastes in the document. If the canvas is 'in focus'
+   * and the clipboard holds a JSON list, pass it along to be pasted at the
+   * time bar, along with the pitch hovered over if it was pasted with Shift
+   * held (Ctrl-Shift-V).
    */
-  function setNotes(notes) {
-    globals.notes = util.noteListCopy(notes);
+  function onPasteDocument(clipboardEvent) {
+    var isPastingAtHoveredPitch = globals.isPastingAtHoveredPitch;
+    globals.isPastingAtHoveredPitch = false;
+    if (!globals.isFocused || !globals.pasteCallback) {
+      return;
+    }
+    try {
+      var text = clipboardEvent.clipboardData.getData("text/plain");
+      var notes = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (!Array.isArray(notes)) {
+      return;
+    }
+    clipboardEvent.preventDefault();
+    var note;
+    if (isPastingAtHoveredPitch && globals.hoverCoords) {
+      note = 127 - Math.floor(globals.hoverCoords[1] / getRowHeight());
+    }
+    globals.pasteCallback(notes, note);
   }
 
   /**
-   * Using the internal list of notes as a model, clear the current display and
-   * draw a new one.
+   * Clear the ruler and draw its tick marks (bars and beats if there's a grid,
+   * seconds otherwise) along with the loop region, or with the region between
+   * the two provided times (ms) if given instead, and the punch range.
    */
-  function refreshDisplay(minWidth) {
-    clearMouseDown()
-    clearSelection();
-    clearHighlight();
-    var maxTime = util.getMaxTime(globals.notes);
-    // Setting the width/height clears the canvas as well
-    var notesWidth = Math.ceil(maxTime * globals.PX_PER_MS);
-    globals.noteCanvas.width = Math.max(minWidth, notesWidth);
-    globals.noteCanvas.height = getDisplayHeight();
-    globals.dragCanvas.width = globals.noteCanvas.width;
-    globals.dragCanvas.height = globals.noteCanvas.height;
-    globals.dragCanvas.style.left = -globals.noteCanvas.width;
-    var ctx = globals.noteCanvas.getContext("2d");
-    globals.notes.forEach(function(note) { drawNote(note, ctx); });
+  function drawRuler(regionStart, regionEnd) {
+    var ctx = globals.rulerCanvas.getContext("2d");
+    var width = globals.rulerCanvas.width;
+    var height = globals.rulerCanvas.height;
+    ctx.fillStyle = globals.RULER_COLOR;
+    ctx.fillRect(0, 0, width, height);
+    if ((regionStart === undefined) && globals.loop) {
+      regionStart = globals.loop.start;
+      regionEnd = globals.loop.end;
+    }
+    if (regionStart !== undefined) {
+      var x0 = Math.floor(regionStart * globals.pxPerMs);
+      var x1 = Math.ceil(regionEnd * globals.pxPerMs);
+      ctx.fillStyle = globals.LOOP_COLOR;
+      ctx.fillRect(x0, 0, x1 - x0, height);
+    }
+    if (globals.punch) {
+      var punchX0 = Math.floor(globals.punch.start * globals.pxPerMs);
+      var punchX1 = Math.ceil(globals.punch.end * globals.pxPerMs);
+      ctx.fillStyle = globals.PUNCH_COLOR;
+      ctx.fillRect(
+        punchX0, height - globals.PUNCH_MARK_HEIGHT, punchX1 - punchX0,
+        globals.PUNCH_MARK_HEIGHT
+      );
+    }
+    ctx.fillStyle = globals.RULER_TICK_COLOR;
+    ctx.font = (height / 2) + "px sans-serif";
+    ctx.textBaseline = "top";
+    if (globals.grid) {
+      drawRulerBars(ctx);
+    } else {
+      drawRulerSeconds(ctx);
+    }
   }
 
   /**
-   * Given a list of notes, clear whatever notes were drawn before and display
-   * the provided notes. A note is an object with the following attributes:
-   * - start: double representing time (ms) the note begins
-   * - end: double representing time (ms) the note ends
-   * - note: integer MIDI note value (60 is middle C)
-   * The second argument, audioBuffer (which may be undefined), if present,
-   * determines the minimum length of the noteCanvas so that it is at least as
-   * long as the song.
+   * Given the ruler's CanvasRenderingContext2D, draw tick marks on it labeled
+   * with the time in seconds.
    */
-  notedisplay.showNotes = function(notes, audioBuffer) {
-    setNotes(notes);
-    if (audioBuffer) {
-      var minWidth = (audioBuffer.duration * 1000.0) * globals.PX_PER_MS;
+  function drawRulerSeconds(ctx) {
+    var width = ctx.canvas.width;
+    var height = ctx.canvas.height;
+    var interval = globals.RULER_TICK_INTERVALS.find(function(interval) {
+      return (interval * globals.pxPerMs) >= globals.MIN_RULER_TICK_SPACING;
+    }) || globals.RULER_TICK_INTERVALS[globals.RULER_TICK_INTERVALS.length-1];
+    var tickCount = width / (interval * globals.pxPerMs);
+    for (var i=0; i<=tickCount; i++) {
+      var x = Math.floor(i * interval * globals.pxPerMs);
+      if (i % globals.RULER_TICKS_PER_LABEL) {
+        ctx.fillRect(x, height * 3/4, 1, height / 4);
+      } else {
+        ctx.fillRect(x, 0, 1, height);
+        var seconds = (i * interval) / 1000;
+        ctx.fillText(seconds + "s", x + 2, 0);
+      }
+    }
+  }
+
+  /**
+   * Given the ruler's CanvasRenderingContext2D, draw tick marks on it for the
+   * bars and beats of the grid, labeling bars with their numbers (every bar,
+   * or every 2nd, 4th, etc. if they're too close together).
+   */
+  function drawRulerBars(ctx) {
+    var height = ctx.canvas.height;
+    var barSpacing = grid.getBarDuration(globals.grid) * globals.pxPerMs;
+    var barsPerLabel = 1;
+    while (barsPerLabel * barSpacing < globals.MIN_BAR_LABEL_SPACING) {
+      barsPerLabel *= 2;
+    }
+    var beatSpacing = grid.getBeatDuration(globals.grid) * globals.pxPerMs;
+    var endTime = ctx.canvas.width / globals.pxPerMs;
+    grid.getBeats(globals.grid, 0, endTime).forEach(function(beat) {
+      var x = Math.floor(beat.time * globals.pxPerMs);
+      var isLabeled = beat.isBarStart &&
+        ((((beat.bar - 1) % barsPerLabel) + barsPerLabel) % barsPerLabel === 0);
+      if (isLabeled) {
+        ctx.fillRect(x, 0, 1, height);
+        ctx.fillText(beat.bar, x + 2, 0);
+      } else if (beat.isBarStart &&
+          (barSpacing >= globals.MIN_RULER_TICK_SPACING)) {
+        ctx.fillRect(x, height / 2, 1, height / 2);
+      } else if (beatSpacing >= globals.MIN_RULER_TICK_SPACING) {
+        ctx.fillRect(x, height * 3/4, 1, height / 4);
+      }
+    });
+  }
+
+  /**
+   * Return the time (ms) corresponding to the x coordinate of the mouse event
+   * over the ruler.
+   */
+  function getRulerTimeFromMouseEvent(mouseEvent) {
+    var [x, y] = getCanvasCoordsFromMouseEvent(mouseEvent, globals.rulerCanvas);
+    return Math.max(0, x / globals.pxPerMs);
+  }
+
+  /**
+   * Given a MouseEvent over the ruler, return the index in the shown grid's
+   * tempo map of the beat within BEAT_GRAB_DISTANCE of the mouse (the closest
+   * if there are several), or undefined if there is none.
+   */
+  function getBeatIndexFromMouseEvent(mouseEvent) {
+    if (!globals.grid || !globals.grid.beats) {
+      return undefined;
+    }
+    var [x, y] = getCanvasCoordsFromMouseEvent(mouseEvent, globals.rulerCanvas);
+    var closestIndex = undefined;
+    var closestDistance = globals.BEAT_GRAB_DISTANCE;
+    globals.grid.beats.forEach(function(beat, i) {
+      var distance = Math.abs((beat * globals.pxPerMs) - x);
+      if (distance <= closestDistance) {
+        closestIndex = i;
+        closestDistance = distance;
+      }
+    });
+    return closestIndex;
+  }
+
+  /**
+   * Given a MouseEvent over the ruler while a beat of the tempo map is being
+   * dragged, show the grid with that beat moved to the mouse (but kept
+   * between its neighbors).
+   */
+  function dragBeat(mouseEvent) {
+    var beats = globals.gridBeforeBeatDrag.beats.slice();
+    var i = globals.draggedBeatIndex;
+    var time = getRulerTimeFromMouseEvent(mouseEvent);
+    if (i > 0) {
+      time = Math.max(time, beats[i-1] + globals.MIN_BEAT_SPACING);
+    }
+    if (i < beats.length - 1) {
+      time = Math.min(time, beats[i+1] - globals.MIN_BEAT_SPACING);
+    }
+    beats[i] = time;
+    notedisplay.showGrid(grid.fromBeats(beats, globals.gridBeforeBeatDrag));
+  }
+
+  /**
+   * Stop dragging a beat of the tempo map, showing the grid from before the
+   * drag again.
+   */
+  function cancelBeatDrag() {
+    var gridBeforeBeatDrag = globals.gridBeforeBeatDrag;
+    globals.draggedBeatIndex = undefined;
+    globals.gridBeforeBeatDrag = undefined;
+    notedisplay.showGrid(gridBeforeBeatDrag);
+  }
+
+  /**
+   * Called when the mouse is pressed down on the ruler. If shift is held over
+   * a beat of the grid's tempo map, starts dragging that beat; otherwise,
+   * starts dragging out a loop region.
+   */
+  function onMouseDownRuler(mouseEvent) {
+    mouseEvent.preventDefault();
+    var beatIndex = getBeatIndexFromMouseEvent(mouseEvent);
+    if (mouseEvent.shiftKey && (beatIndex !== undefined)) {
+      globals.draggedBeatIndex = beatIndex;
+      globals.gridBeforeBeatDrag = globals.grid;
+      return;
+    }
+    var coords = getCanvasCoordsFromMouseEvent(mouseEvent, globals.rulerCanvas);
+    globals.loopDragStartX = coords[0];
+  }
+
+  /**
+   * Called when the mouse moves over the ruler; if a beat or a loop region is
+   * being dragged, show it. Otherwise, show whether a beat can be dragged.
+   */
+  function onMouseMoveRuler(mouseEvent) {
+    if (globals.draggedBeatIndex !== undefined) {
+      dragBeat(mouseEvent);
+    } else if (globals.loopDragStartX !== undefined) {
+      var startTime = globals.loopDragStartX / globals.pxPerMs;
+      var time = getRulerTimeFromMouseEvent(mouseEvent);
+      drawRuler(Math.min(startTime, time), Math.max(startTime, time));
     } else {
-      var minWidth = 0;
+      var canDragBeat = mouseEvent.shiftKey &&
+        (getBeatIndexFromMouseEvent(mouseEvent) !== undefined);
+      globals.rulerCanvas.style.cursor = canDragBeat ? "ew-resize" : "";
     }
-    refreshDisplay(minWidth);
-  };
+  }
 
   /**
-   * Move the time bar to the location corresponding to the provided time (ms).
+   * Called when the pressed-down mouse is lifted over the ruler. If a beat was
+   * dragged, set the grid to the one with it moved. If a loop region was
+   * dragged, set the loop region to the dragged-over times; if the ruler was
+   * only clicked, clear the loop region.
    */
-  notedisplay.showTime = function(time) {
-    var offset = globals.PX_PER_MS * time;
-    globals.timeBarSvg.style.transform = "translate(" + offset + "px)";
+  function onMouseUpRuler(mouseEvent) {
+    if (globals.draggedBeatIndex !== undefined) {
+      dragBeat(mouseEvent);
+      var newGrid = globals.grid;
+      var i = globals.draggedBeatIndex;
+      var isMoved = newGrid.beats[i] !== globals.gridBeforeBeatDrag.beats[i];
+      cancelBeatDrag();
+      if (isMoved && globals.setGridCallback) {
+        globals.setGridCallback(newGrid);
+      }
+      return;
+    }
+    if (globals.loopDragStartX === undefined) {
+      return;
+    }
+    var coords = getCanvasCoordsFromMouseEvent(mouseEvent, globals.rulerCanvas);
+    var startTime = globals.loopDragStartX / globals.pxPerMs;
+    var time = getRulerTimeFromMouseEvent(mouseEvent);
+    var dragDistance = Math.abs(coords[0] - globals.loopDragStartX);
+    globals.loopDragStartX = undefined;
+    drawRuler();
+    if (globals.setLoopCallback) {
+      if (dragDistance < globals.MIN_LOOP_DRAG) {
+        globals.setLoopCallback(undefined);
+      } else {
+        globals.setLoopCallback({
+          start: Math.min(startTime, time),
+          end: Math.max(startTime, time)
+        });
+      }
+    }
+  }
+
+  /**
+   * Called when the mouse leaves the ruler; stops dragging a beat or a loop
+   * region without setting it.
+   */
+  function onMouseLeaveRuler(mouseEvent) {
+    globals.rulerCanvas.style.cursor = "";
+    if (globals.draggedBeatIndex !== undefined) {
+      cancelBeatDrag();
+    } else if (globals.loopDragStartX !== undefined) {
+      globals.loopDragStartX = undefined;
+      drawRuler();
+    }
+  }
+
+  /**
+   * Given the element housing the header, create and append the canvas used
+   * as a ruler above the notes.
+   */
+  function initRulerCanvas(container) {
+    globals.rulerCanvas = document.createElement("canvas");
+    globals.rulerCanvas.width = 0;
+    globals.rulerCanvas.height = globals.RULER_HEIGHT;
+    globals.rulerCanvas.style.display = "block";
+    globals.rulerCanvas.addEventListener("mousedown", onMouseDownRuler);
+    globals.rulerCanvas.addEventListener("mousemove", onMouseMoveRuler);
+    globals.rulerCanvas.addEventListener("mouseup", onMouseUpRuler);
+    globals.rulerCanvas.addEventListener("mouseleave", onMouseLeaveRuler);
+    container.appendChild(globals.rulerCanvas);
+  }
+
+  /**
+   * Given an AudioBuffer, return an object summarizing its loudness over time
+   * with the following attributes:
+   * - blockDuration: length (ms) of audio each value below summarizes
+   * - peaks: Float32Array of the largest absolute sample value (0-1) of each
+   *   block of WAVEFORM_BLOCK_SIZE samples, across all channels
+   * - rms: Float32Array of the root mean square of each block's samples
+   */
+  function getWaveformEnvelope(audioBuffer) {
+    var blockSize = globals.WAVEFORM_BLOCK_SIZE;
+    var blockCount = Math.ceil(audioBuffer.length / blockSize);
+    var peaks = new Float32Array(blockCount);
+    var rms = new Float32Array(blockCount);
+    for (var c=0; c<audioBuffer.numberOfChannels; c++) {
+      var samples = audioBuffer.getChannelData(c);
+      for (var block=0; block<blockCount; block++) {
+        var end = Math.min(samples.length, (block + 1) * blockSize);
+        var sumOfSquares = 0;
+        for (var i=block*blockSize; i<end; i++) {
+          peaks[block] = Math.max(peaks[block], Math.abs(samples[i]));
+          sumOfSquares += samples[i] * samples[i];
+        }
+        rms[block] += sumOfSquares / (end - (block * blockSize)) /
+          audioBuffer.numberOfChannels;
+      }
+    }
+    for (var block=0; block<blockCount; block++) {
+      rms[block] = Math.sqrt(rms[block]);
+    }
+    return {
+      blockDuration: (blockSize / audioBuffer.sampleRate) * 1000,
+      peaks: peaks,
+      rms: rms
+    };
+  }
+
+  /**
+   * Draw the waveform of the audio (if there is any) at the current zoom, as a
+   * band of peaks with the RMS inside of it for each pixel of time.
+   */
+  function drawWaveform() {
+    var envelope = globals.waveformEnvelope;
+    var canvas = globals.waveformCanvas;
+    canvas.width = envelope ? globals.noteCanvas.width : 0;
+    canvas.height = envelope ? globals.WAVEFORM_HEIGHT : 0;
+    if (!envelope) {
+      return;
+    }
+    var ctx = canvas.getContext("2d");
+    ctx.fillStyle = globals.WAVEFORM_BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    var middle = canvas.height / 2;
+    var blocksPerPx = 1 / (globals.pxPerMs * envelope.blockDuration);
+    for (var x=0; x<canvas.width; x++) {
+      var firstBlock = Math.floor(x * blocksPerPx);
+      var endBlock = Math.min(
+        envelope.peaks.length,
+        Math.max(firstBlock + 1, Math.floor((x + 1) * blocksPerPx))
+      );
+      var peak = 0;
+      var sumOfSquares = 0;
+      for (var block=firstBlock; block<endBlock; block++) {
+        peak = Math.max(peak, envelope.peaks[block]);
+        sumOfSquares += envelope.rms[block] * envelope.rms[block];
+      }
+      if (endBlock > firstBlock) {
+        var rms = Math.sqrt(sumOfSquares / (endBlock - firstBlock));
+        ctx.fillStyle = globals.WAVEFORM_PEAK_COLOR;
+        ctx.fillRect(x, middle - (peak * middle), 1, 2 * peak * middle);
+        ctx.fillStyle = globals.WAVEFORM_RMS_COLOR;
+        ctx.fillRect(x, middle - (rms * middle), 1, 2 * rms * middle);
+      }
+    }
+  }
+
+  /**
+   * Called when the waveform is clicked; moves the time bar there.
+   */
+  function onClickWaveform(mouseEvent) {
+    var coords = getCanvasCoordsFromMouseEvent(
+      mouseEvent, globals.waveformCanvas
+    );
+    if (globals.setTimeCallback) {
+      globals.setTimeCallback(Math.max(0, coords[0] / globals.pxPerMs));
+    }
+  }
+
+  /**
+   * Given the element housing the header, create and append the canvas used
+   * to show the audio's waveform above the notes (under the ruler).
+   */
+  function initWaveformCanvas(container) {
+    globals.waveformCanvas = document.createElement("canvas");
+    globals.waveformCanvas.width = 0;
+    globals.waveformCanvas.height = 0;
+    globals.waveformCanvas.style.display = "block";
+    globals.waveformCanvas.addEventListener("click", onClickWaveform);
+    container.appendChild(globals.waveformCanvas);
+  }
+
+  /**
+   * Given the container element housing the display, create and append the
+   * header above the notes, holding the ruler and the waveform. The header
+   * stays in view when scrolling through the notes, with a blank corner above
+   * the keyboard that stays in view when scrolling through time.
+   */
+  function initHeader(container) {
+    var header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.width = "max-content";
+    header.style.position = "sticky";
+    header.style.top = 0;
+    header.style.zIndex = 5;
+    var corner = document.createElement("div");
+    corner.style.width = globals.KEYBOARD_WIDTH + "px";
+    corner.style.flexShrink = 0;
+    corner.style.position = "sticky";
+    corner.style.left = 0;
+    corner.style.zIndex = 1;
+    corner.style.background = globals.WHITE_KEY_COLOR;
+    header.appendChild(corner);
+    var rulerAndWaveform = document.createElement("div");
+    initRulerCanvas(rulerAndWaveform);
+    initWaveformCanvas(rulerAndWaveform);
+    header.appendChild(rulerAndWaveform);
+    container.appendChild(header);
+  }
+
+  /**
+   * Return the name of the provided MIDI note value, like "C4" for 60 (middle
+   * C).
+   */
+  function getNoteName(note) {
+    var names = [
+      "C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"
+    ];
+    return names[note % 12] + (Math.floor(note / 12) - 1);
+  }
+
+  /**
+   * Return true if the provided MIDI note value is a black key on a piano.
+   */
+  function isBlackKey(note) {
+    return globals.BLACK_KEYS.indexOf(note % 12) !== -1;
+  }
+
+  /**
+   * Draw the piano keyboard to the left of the notes, with one key lined up
+   * with each row of the display and every C labeled with its octave.
+   */
+  function drawKeyboard() {
+    var canvas = globals.keyboardCanvas;
+    // Setting the width/height clears the canvas as well
+    canvas.width = globals.KEYBOARD_WIDTH;
+    canvas.height = getDisplayHeight();
+    var ctx = canvas.getContext("2d");
+    ctx.fillStyle = globals.KEY_BORDER_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = globals.KEY_LABEL_SIZE + "px sans-serif";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    for (var note=0; note<128; note++) {
+      var y = (127 - note) * getRowHeight();
+      ctx.fillStyle = globals.WHITE_KEY_COLOR;
+      ctx.fillRect(0, y, canvas.width, globals.noteHeight);
+      if (isBlackKey(note)) {
+        ctx.fillStyle = globals.BLACK_KEY_COLOR;
+        ctx.fillRect(
+          0, y, canvas.width * globals.BLACK_KEY_LENGTH, globals.noteHeight
+        );
+      } else if (note % 12 === 0) {
+        ctx.fillStyle = globals.KEY_LABEL_COLOR;
+        ctx.fillText(
+          getNoteName(note), canvas.width - 2, y + globals.noteHeight
+        );
+      }
+    }
+  }
+
+  /**
+   * Called when the keyboard is clicked; plays the clicked key.
+   */
+  function onMouseDownKeyboard(mouseEvent) {
+    var coords = getCanvasCoordsFromMouseEvent(
+      mouseEvent, globals.keyboardCanvas
+    );
+    var note = 127 - Math.floor(coords[1] / getRowHeight());
+    if ((note >= 0) && (note <= 127) && globals.auditionCallback) {
+      globals.auditionCallback(note);
+    }
+  }
+
+  /**
+   * Given the element housing the notes, create and append the canvas used to
+   * show a piano keyboard to their left, which stays in view when scrolling
+   * through time.
+   */
+  function initKeyboardCanvas(container) {
+    globals.keyboardCanvas = document.createElement("canvas");
+    globals.keyboardCanvas.width = globals.KEYBOARD_WIDTH;
+    globals.keyboardCanvas.height = getDisplayHeight();
+    globals.keyboardCanvas.style.display = "block";
+    globals.keyboardCanvas.style.flexShrink = 0;
+    globals.keyboardCanvas.style.position = "sticky";
+    globals.keyboardCanvas.style.left = 0;
+    globals.keyboardCanvas.style.zIndex = 4;
+    globals.keyboardCanvas.style.cursor = "pointer";
+    globals.keyboardCanvas.addEventListener("mousedown", onMouseDownKeyboard);
+    container.appendChild(globals.keyboardCanvas);
+  }
+
+  /**
+   * Given an AudioBuffer, return a Promise resolved with its spectrogram once
+   * it's been computed in the background (see spectrogramworker.js for what
+   * it contains). Spectrograms are remembered, so asking again for the same
+   * AudioBuffer resolves right away. Only one spectrogram is computed at a
+   * time; asking for a different one rejects the Promise of the one in
+   * progress.
+   */
+  function computeSpectrogram(audioBuffer) {
+    if (globals.spectrograms.has(audioBuffer)) {
+      return Promise.resolve(globals.spectrograms.get(audioBuffer));
+    }
+    var job = globals.spectrogramJob;
+    if (job && (job.audioBuffer === audioBuffer)) {
+      return job.promise;
+    }
+    if (job) {
+      job.worker.terminate();
+      job.reject(new Error("Cancelled for a different song"));
+    }
+    job = {
+      audioBuffer: audioBuffer,
+      worker: new Worker(globals.SPECTROGRAM_WORKER_URL)
+    };
+    job.promise = new Promise(function(resolve, reject) {
+      job.reject = reject;
+      job.worker.onmessage = function(messageEvent) {
+        job.worker.terminate();
+        globals.spectrogramJob = undefined;
+        globals.spectrograms.set(audioBuffer, messageEvent.data);
+        resolve(messageEvent.data);
+      };
+      job.worker.onerror = function(errorEvent) {
+        job.worker.terminate();
+        globals.spectrogramJob = undefined;
+        reject(new Error(errorEvent.message));
+      };
+    });
+    var samples = util.getMonoSamples(audioBuffer);
+    job.worker.postMessage({
+      samples: samples,
+      sampleRate: audioBuffer.sampleRate,
+      frameDuration: globals.SPECTROGRAM_FRAME_DURATION
+    }, [samples.buffer]);
+    globals.spectrogramJob = job;
+    return job.promise;
+  }
+
+  /**
+   * Given a spectrogram (see computeSpectrogram), return a list of canvases
+   * (each at most SPECTROGRAM_TILE_WIDTH wide) that together make up an image
+   * of it at the current brightness and contrast, with one pixel per column
+   * and note value (the highest note at the top). The images are kept on the
+   * spectrogram so they're only redrawn when the brightness or contrast
+   * change.
+   */
+  function getSpectrogramTiles(spectrogram) {
+    var options = globals.spectrogramOptions;
+    var tilesKey = options.brightness + "," + options.contrast;
+    if (spectrogram.tilesKey === tilesKey) {
+      return spectrogram.tiles;
+    }
+    var range = globals.SPECTROGRAM_MIN_CONTRAST_RANGE -
+      ((options.contrast / 100) * globals.SPECTROGRAM_MAX_RANGE);
+    var shift = ((options.brightness - 50) / 50) *
+      globals.SPECTROGRAM_MAX_BRIGHTNESS_SHIFT;
+    var color = globals.SPECTROGRAM_COLOR;
+    var tiles = [];
+    var tileWidth = globals.SPECTROGRAM_TILE_WIDTH;
+    for (var first=0; first<spectrogram.frameCount; first+=tileWidth) {
+      var tile = document.createElement("canvas");
+      tile.width = Math.min(tileWidth, spectrogram.frameCount - first);
+      tile.height = 128;
+      var ctx = tile.getContext("2d");
+      var image = ctx.createImageData(tile.width, tile.height);
+      for (var x=0; x<tile.width; x++) {
+        for (var note=0; note<128; note++) {
+          var level = spectrogram.levels[((first + x) * 128) + note];
+          var intensity = Math.min(
+            1, Math.max(0, (level + shift + range) / range)
+          );
+          var i = (((127 - note) * tile.width) + x) * 4;
+          image.data[i] = color[0];
+          image.data[i + 1] = color[1];
+          image.data[i + 2] = color[2];
+          image.data[i + 3] = Math.round(intensity * 255);
+        }
+      }
+      ctx.putImageData(image, 0, 0);
+      tiles.push(tile);
+    }
+    spectrogram.tiles = tiles;
+    spectrogram.tilesKey = tilesKey;
+    return tiles;
+  }
+
+  /**
+   * Given the background canvas's CanvasRenderingContext2D, draw the
+   * spectrogram of the audio on it if it's turned on and has been computed.
+   */
+  function drawSpectrogram(ctx) {
+    var spectrogram = globals.audioBuffer &&
+      globals.spectrograms.get(globals.audioBuffer);
+    if (!globals.spectrogramOptions.visible || !spectrogram) {
+      return;
+    }
+    // Keep each note value's row crisp instead of blurring it into the others
+    ctx.imageSmoothingEnabled = false;
+    var pxPerFrame = spectrogram.frameDuration * globals.pxPerMs;
+    // Each column is centered on its time
+    var x = -pxPerFrame / 2;
+    getSpectrogramTiles(spectrogram).forEach(function(tile) {
+      var width = tile.width * pxPerFrame;
+      ctx.drawImage(tile, x, 0, width, ctx.canvas.height);
+      x += width;
+    });
+  }
+
+  /**
+   * Given the background canvas's CanvasRenderingContext2D, draw a line for
+   * each bar and beat of the grid if there is one (leaving out beat lines that
+   * would be too close together).
+   */
+  function drawGridLines(ctx) {
+    if (!globals.grid) {
+      return;
+    }
+    var beatSpacing = grid.getBeatDuration(globals.grid) * globals.pxPerMs;
+    var showBeats = beatSpacing >= globals.MIN_GRID_LINE_SPACING;
+    var endTime = ctx.canvas.width / globals.pxPerMs;
+    grid.getBeats(globals.grid, 0, endTime).forEach(function(beat) {
+      if (beat.isBarStart || showBeats) {
+        ctx.fillStyle = beat.isBarStart
+          ? globals.GRID_BAR_COLOR
+          : globals.GRID_BEAT_COLOR;
+        var x = Math.floor(beat.time * globals.pxPerMs);
+        ctx.fillRect(x, 0, 1, ctx.canvas.height);
+      }
+    });
+  }
+
+  /**
+   * Size the background canvas to match the note canvas, shade the rows
+   * belonging to black keys, and draw the spectrogram and grid on top.
+   */
+  function drawBackground() {
+    var canvas = globals.backgroundCanvas;
+    // Setting the width/height clears the canvas as well
+    canvas.width = globals.noteCanvas.width;
+    canvas.height = globals.noteCanvas.height;
+    var ctx = canvas.getContext("2d");
+    ctx.fillStyle = globals.BLACK_KEY_ROW_COLOR;
+    for (var note=0; note<128; note++) {
+      if (isBlackKey(note)) {
+        ctx.fillRect(
+          0, (127 - note) * getRowHeight(), canvas.width, getRowHeight()
+        );
+      }
+    }
+    drawSpectrogram(ctx);
+    drawGridLines(ctx);
+  }
+
+  /**
+   * Change how the spectrogram of the audio is shown behind the notes, given
+   * an object with any of the following attributes:
+   * - visible: whether to show it
+   * - brightness: 0-100 (50 is normal); higher shows quieter sounds
+   * - contrast: 0-100 (50 is normal); higher shows a narrower range of
+   *   loudness, making louder notes stand out more
+   * Computing a spectrogram takes a few seconds the first time it's shown for
+   * a song, so this returns a Promise resolved once it's drawn (or rejected
+   * with an Error if it couldn't be computed).
+   */
+  notedisplay.showSpectrogram = function(options) {
+    ["visible", "brightness", "contrast"].forEach(function(option) {
+      if (options[option] !== undefined) {
+        globals.spectrogramOptions[option] = options[option];
+      }
+    });
+    var audioBuffer = globals.audioBuffer;
+    if (!globals.spectrogramOptions.visible || !audioBuffer) {
+      drawBackground();
+      return Promise.resolve();
+    }
+    return computeSpectrogram(audioBuffer).then(function() {
+      drawBackground();
+    });
+  };
+
+  /**
+   * Given a y coordinate on the velocity lane, return the velocity (1-127) it
+   * stands for: 127 at the top, down to 1 at the bottom.
+   */
+  function getVelocityAtY(y) {
+    var velocity = Math.round(127 * (1 - (y / globals.VELOCITY_LANE_HEIGHT)));
+    return Math.max(1, Math.min(127, velocity));
+  }
+
+  /**
+   * Return a Map of each note changed by the velocity edit being dragged out
+   * (see velocityDrag) to the velocity it would get if the mouse were released
+   * now. Dragging a bar changes its velocity, and those of the rest of the
+   * selection if it's selected, by how far it was dragged. Drawing a ramp sets
+   * the velocity of each note (or only each selected note, if any are) with a
+   * bar under the line to the line's height there.
+   */
+  function getDraggedVelocities() {
+    var drag = globals.velocityDrag;
+    var velocities = new Map();
+    if (drag.note) {
+      var change = getVelocityAtY(drag.coords[1]) -
+        getVelocityAtY(drag.startCoords[1]);
+      var notes = globals.selectedNotes.has(drag.note)
+        ? Array.from(globals.selectedNotes)
+        : [drag.note];
+      notes.forEach(function(note) {
+        var velocity = Math.max(1, Math.min(127, note.velocity + change));
+        velocities.set(note, velocity);
+      });
+      return velocities;
+    }
+    var [x0, y0] = drag.startCoords;
+    var [x1, y1] = drag.coords;
+    var notes = globals.selectedNotes.size
+      ? Array.from(globals.selectedNotes)
+      : getSelectableNotes();
+    notes.forEach(function(note) {
+      var x = Math.floor(note.start * globals.pxPerMs);
+      if ((x >= Math.min(x0, x1)) && (x <= Math.max(x0, x1))) {
+        var fraction = (x1 === x0) ? 0 : ((x - x0) / (x1 - x0));
+        velocities.set(note, getVelocityAtY(y0 + (fraction * (y1 - y0))));
+      }
+    });
+    return velocities;
+  }
+
+  /**
+   * Draw the velocity lane: a bar for each note at its start, as tall as its
+   * velocity. Notes whose velocity is being dragged are shown with their new
+   * velocities, along with any ramp being drawn.
+   */
+  function drawVelocityLane() {
+    var canvas = globals.velocityCanvas;
+    canvas.width = globals.noteCanvas.width;
+    canvas.height = globals.VELOCITY_LANE_HEIGHT;
+    var ctx = canvas.getContext("2d");
+    ctx.fillStyle = globals.VELOCITY_LANE_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    var drag = globals.velocityDrag;
+    var velocities = drag ? getDraggedVelocities() : new Map();
+    var bars = getEditableNotes().map(function(note) {
+      return {
+        note: note,
+        velocity: velocities.has(note) ? velocities.get(note) : note.velocity
+      };
+    });
+    // Taller bars are drawn first so shorter ones at the same time still show
+    bars.sort(function(a, b) {
+      return b.velocity - a.velocity;
+    });
+    bars.forEach(function(bar) {
+      if (velocities.has(bar.note)) {
+        ctx.fillStyle = globals.NOTE_DRAG_COLOR;
+      } else if (globals.selectedNotes.has(bar.note)) {
+        ctx.fillStyle = globals.NOTE_SELECTED_COLOR;
+      } else {
+        ctx.fillStyle = getNoteColor(bar.note);
+      }
+      var height = canvas.height * bar.velocity / 127;
+      ctx.fillRect(
+        Math.floor(bar.note.start * globals.pxPerMs), canvas.height - height,
+        globals.VELOCITY_BAR_WIDTH, height
+      );
+    });
+    if (drag && !drag.note) {
+      ctx.beginPath();
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = globals.VELOCITY_LINE_COLOR;
+      ctx.moveTo(drag.startCoords[0], drag.startCoords[1]);
+      ctx.lineTo(drag.coords[0], drag.coords[1]);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Given a MouseEvent over the velocity lane, return the note whose bar is
+   * under it (or within VELOCITY_GRAB_DISTANCE), picking the one whose top is
+   * closest if there are several; return undefined if there are none.
+   */
+  function getVelocityBarFromMouseEvent(mouseEvent) {
+    var [x, y] = getCanvasCoordsFromMouseEvent(
+      mouseEvent, globals.velocityCanvas
+    );
+    var closestNote = undefined;
+    var closestDistance = Infinity;
+    getSelectableNotes().forEach(function(note) {
+      var x0 = Math.floor(note.start * globals.pxPerMs);
+      if ((x < x0 - globals.VELOCITY_GRAB_DISTANCE) ||
+          (x > x0 + globals.VELOCITY_BAR_WIDTH +
+            globals.VELOCITY_GRAB_DISTANCE)) {
+        return;
+      }
+      var top = globals.VELOCITY_LANE_HEIGHT * (1 - (note.velocity / 127));
+      if (Math.abs(y - top) < closestDistance) {
+        closestNote = note;
+        closestDistance = Math.abs(y - top);
+      }
+    });
+    return closestNote;
+  }
+
+  /**
+   * Called when the mouse is pressed down on the velocity lane; starts
+   * dragging the bar under it, or drawing a ramp if there is none.
+   */
+  function onMouseDownVelocityLane(mouseEvent) {
+    mouseEvent.preventDefault();
+    // Like the dragCanvas, the lane counts as part of the display for focus
+    globals.isFocused = true;
+    mouseEvent.stopPropagation();
+    var coords = getCanvasCoordsFromMouseEvent(
+      mouseEvent, globals.velocityCanvas
+    );
+    globals.velocityDrag = {
+      note: getVelocityBarFromMouseEvent(mouseEvent),
+      startCoords: coords,
+      coords: coords
+    };
+    drawVelocityLane();
+  }
+
+  /**
+   * Called when the mouse moves over the velocity lane; shows the velocity
+   * edit being dragged out, or whether a bar can be dragged.
+   */
+  function onMouseMoveVelocityLane(mouseEvent) {
+    if (globals.velocityDrag) {
+      globals.velocityDrag.coords = getCanvasCoordsFromMouseEvent(
+        mouseEvent, globals.velocityCanvas
+      );
+      drawVelocityLane();
+    } else {
+      var isOverBar = getVelocityBarFromMouseEvent(mouseEvent) !== undefined;
+      globals.velocityCanvas.style.cursor = isOverBar ? "ns-resize" : "";
+    }
+  }
+
+  /**
+   * Called when the pressed-down mouse is lifted over the velocity lane;
+   * updates the notes whose velocities were changed by the drag.
+   */
+  function onMouseUpVelocityLane(mouseEvent) {
+    if (!globals.velocityDrag) {
+      return;
+    }
+    globals.velocityDrag.coords = getCanvasCoordsFromMouseEvent(
+      mouseEvent, globals.velocityCanvas
+    );
+    var velocities = getDraggedVelocities();
+    globals.velocityDrag = undefined;
+    var notes = Array.from(velocities.keys()).filter(function(note) {
+      return velocities.get(note) !== note.velocity;
+    });
+    if (!notes.length || !globals.updateCallback) {
+      drawVelocityLane();
+      return;
+    }
+    var newNotes = notes.map(function(note) {
+      return Object.assign({}, note, {velocity: velocities.get(note)});
+    });
+    globals.notesToSelect = newNotes.filter(function(newNote, i) {
+      return globals.selectedNotes.has(notes[i]);
+    });
+    globals.updateCallback(notes.map(function(note) {
+      return globals.notes.indexOf(note);
+    }), newNotes);
+  }
+
+  /**
+   * Called when the mouse leaves the velocity lane; stops any velocity edit
+   * being dragged out without making it.
+   */
+  function onMouseLeaveVelocityLane(mouseEvent) {
+    globals.velocityCanvas.style.cursor = "";
+    if (globals.velocityDrag) {
+      globals.velocityDrag = undefined;
+      drawVelocityLane();
+    }
+  }
+
+  /**
+   * Return a control event for the control shown in the controller lane (see
+   * controlKey) at the provided time (ms) with the provided value, on the
+   * shown channel (or channel 0, if every channel is shown).
+   */
+  function getControlEvent(time, value) {
+    var [type, controller] = globals.controlKey.split(",");
+    var controlEvent = {
+      time: time,
+      type: type,
+      value: value,
+      channel: (globals.channel === undefined) ? 0 : globals.channel
+    };
+    if (controller !== undefined) {
+      controlEvent.controller = Number(controller);
+    }
+    return controlEvent;
+  }
+
+  /**
+   * Given a y coordinate on the controller lane, return the value of the
+   * shown control it stands for: the control's largest value at the top, down
+   * to 0 at the bottom. The sustain pedal is only ever all the way up or
+   * down.
+   */
+  function getControlValueAtY(y) {
+    var maxValue = midi.getControlEventMaxValue(getControlEvent(0, 0).type);
+    var fraction = 1 - (y / globals.CONTROL_LANE_HEIGHT);
+    if (globals.controlKey === "controlChange," + midi.SUSTAIN_CONTROLLER) {
+      return (fraction >= 0.5) ? maxValue : 0;
+    }
+    return Math.max(0, Math.min(maxValue, Math.round(maxValue * fraction)));
+  }
+
+  /**
+   * Return the list of control events (ordered by time) there would be if
+   * the mouse were released now from the drawing on the controller lane (see
+   * controlDraw). The shown control's events (on the shown channel) in the
+   * time dragged across are replaced by ones drawn every CONTROL_DRAW_SPACING
+   * px along the drag (only where the value changes), or just removed if
+   * erasing.
+   */
+  function getDrawnControlEvents() {
+    var draw = globals.controlDraw;
+    var xs = draw.points.map(function(point) {
+      return point[0];
+    });
+    var start = Math.max(0, Math.min.apply(null, xs) / globals.pxPerMs);
+    var end = Math.max(0, Math.max.apply(null, xs) / globals.pxPerMs);
+    var controlEvents = globals.controlEvents.filter(function(controlEvent) {
+      return !((midi.getControlKey(controlEvent) === globals.controlKey) &&
+        isOnShownChannel(controlEvent) && (controlEvent.time >= start) &&
+        (controlEvent.time <= end));
+    });
+    if (draw.isErasing) {
+      return controlEvents;
+    }
+    // Map of each step along the drag to the value last dragged through it
+    var steps = new Map();
+    draw.points.forEach(function(point) {
+      var step = Math.round(point[0] / globals.CONTROL_DRAW_SPACING);
+      steps.set(step, getControlValueAtY(point[1]));
+    });
+    var lastValue = undefined;
+    Array.from(steps.keys()).sort(function(a, b) {
+      return a - b;
+    }).forEach(function(step) {
+      var value = steps.get(step);
+      if (value === lastValue) {
+        return;
+      }
+      var time = step * globals.CONTROL_DRAW_SPACING / globals.pxPerMs;
+      controlEvents.push(
+        getControlEvent(Math.max(start, Math.min(end, time)), value)
+      );
+      lastValue = value;
+    });
+    return controlEvents.sort(function(a, b) {
+      return a.time - b.time;
+    });
+  }
+
+  /**
+   * Draw the controller lane: a line stepping through the values of the shown
+   * control (see controlKey) over time, starting from its resting value, with
+   * a dot at each control event. While drawing, the events being drawn are
+   * shown in place of the ones they replace.
+   */
+  function drawControlLane() {
+    if (!globals.controlKey) {
+      return;
+    }
+    var canvas = globals.controlCanvas;
+    canvas.width = globals.noteCanvas.width;
+    canvas.height = globals.CONTROL_LANE_HEIGHT;
+    var ctx = canvas.getContext("2d");
+    ctx.fillStyle = globals.CONTROL_LANE_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    var controlEvents = globals.controlDraw
+      ? getDrawnControlEvents()
+      : globals.controlEvents;
+    var template = getControlEvent(0, 0);
+    var maxValue = midi.getControlEventMaxValue(template.type);
+    var getY = function(value) {
+      return (canvas.height - 1) * (1 - (value / maxValue)) + 0.5;
+    };
+    var y = getY(midi.getControlRestingValue(template));
+    ctx.beginPath();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = globals.CONTROL_LINE_COLOR;
+    ctx.fillStyle = globals.CONTROL_LINE_COLOR;
+    ctx.moveTo(0, y);
+    controlEvents.forEach(function(controlEvent) {
+      if ((midi.getControlKey(controlEvent) !== globals.controlKey) ||
+          !isOnShownChannel(controlEvent)) {
+        return;
+      }
+      var x = Math.floor(controlEvent.time * globals.pxPerMs) + 0.5;
+      ctx.lineTo(x, y);
+      y = getY(controlEvent.value);
+      ctx.lineTo(x, y);
+      var size = globals.CONTROL_POINT_SIZE;
+      ctx.fillRect(x - (size / 2), y - (size / 2), size, size);
+    });
+    ctx.lineTo(canvas.width, y);
+    ctx.stroke();
+  }
+
+  /**
+   * Called when the mouse is pressed down on the controller lane; starts
+   * drawing the shown control's values (or erasing them, if Shift is held).
+   */
+  function onMouseDownControlLane(mouseEvent) {
+    mouseEvent.preventDefault();
+    // Like the dragCanvas, the lane counts as part of the display for focus
+    globals.isFocused = true;
+    mouseEvent.stopPropagation();
+    globals.controlDraw = {
+      points: [
+        getCanvasCoordsFromMouseEvent(mouseEvent, globals.controlCanvas)
+      ],
+      isErasing: mouseEvent.shiftKey
+    };
+    drawControlLane();
+  }
+
+  /**
+   * Called when the mouse moves over the controller lane; shows the values
+   * being drawn.
+   */
+  function onMouseMoveControlLane(mouseEvent) {
+    if (globals.controlDraw) {
+      globals.controlDraw.points.push(
+        getCanvasCoordsFromMouseEvent(mouseEvent, globals.controlCanvas)
+      );
+      drawControlLane();
+    }
+  }
+
+  /**
+   * Called when the pressed-down mouse is lifted over the controller lane;
+   * replaces the control events with the ones drawn.
+   */
+  function onMouseUpControlLane(mouseEvent) {
+    if (!globals.controlDraw) {
+      return;
+    }
+    globals.controlDraw.points.push(
+      getCanvasCoordsFromMouseEvent(mouseEvent, globals.controlCanvas)
+    );
+    var controlEvents = getDrawnControlEvents();
+    globals.controlDraw = undefined;
+    var isChanged = (controlEvents.length !== globals.controlEvents.length) ||
+      controlEvents.some(function(controlEvent, i) {
+        return controlEvent !== globals.controlEvents[i];
+      });
+    if (isChanged && globals.setControlEventsCallback) {
+      globals.setControlEventsCallback(controlEvents);
+    } else {
+      drawControlLane();
+    }
+  }
+
+  /**
+   * Called when the mouse leaves the controller lane; stops any drawing
+   * without making it.
+   */
+  function onMouseLeaveControlLane(mouseEvent) {
+    if (globals.controlDraw) {
+      globals.controlDraw = undefined;
+      drawControlLane();
+    }
+  }
+
+  /**
+   * Given the footer element under the notes, a label, and a canvas, append a
+   * lane to it holding the canvas, with a corner under the keyboard showing
+   * the label. Return the lane's element.
+   */
+  function initLane(footer, label, canvas) {
+    var lane = document.createElement("div");
+    lane.style.display = "flex";
+    var corner = document.createElement("div");
+    corner.style.width = globals.KEYBOARD_WIDTH + "px";
+    corner.style.flexShrink = 0;
+    corner.style.position = "sticky";
+    corner.style.left = 0;
+    corner.style.zIndex = 1;
+    corner.style.background = globals.WHITE_KEY_COLOR;
+    corner.style.color = globals.KEY_LABEL_COLOR;
+    corner.style.fontSize = globals.KEY_LABEL_SIZE + "px";
+    corner.textContent = label;
+    lane.appendChild(corner);
+    canvas.width = 0;
+    canvas.style.display = "block";
+    lane.appendChild(canvas);
+    footer.appendChild(lane);
+    return lane;
+  }
+
+  /**
+   * Given the footer element under the notes, create and append the velocity
+   * lane.
+   */
+  function initVelocityLane(footer) {
+    globals.velocityCanvas = document.createElement("canvas");
+    globals.velocityCanvas.height = globals.VELOCITY_LANE_HEIGHT;
+    globals.velocityCanvas.addEventListener(
+      "mousedown", onMouseDownVelocityLane
+    );
+    globals.velocityCanvas.addEventListener(
+      "mousemove", onMouseMoveVelocityLane
+    );
+    globals.velocityCanvas.addEventListener("mouseup", onMouseUpVelocityLane);
+    globals.velocityCanvas.addEventListener(
+      "mouseleave", onMouseLeaveVelocityLane
+    );
+    initLane(footer, "Velocity", globals.velocityCanvas);
+  }
+
+  /**
+   * Given the footer element under the notes, create and append the
+   * controller lane (hidden until a control is shown in it, see
+   * notedisplay.showControlLane).
+   */
+  function initControlLane(footer) {
+    globals.controlCanvas = document.createElement("canvas");
+    globals.controlCanvas.height = globals.CONTROL_LANE_HEIGHT;
+    globals.controlCanvas.style.cursor = "crosshair";
+    globals.controlCanvas.addEventListener(
+      "mousedown", onMouseDownControlLane
+    );
+    globals.controlCanvas.addEventListener(
+      "mousemove", onMouseMoveControlLane
+    );
+    globals.controlCanvas.addEventListener("mouseup", onMouseUpControlLane);
+    globals.controlCanvas.addEventListener(
+      "mouseleave", onMouseLeaveControlLane
+    );
+    globals.controlLane = initLane(footer, "", globals.controlCanvas);
+    globals.controlLane.style.display = "none";
+    globals.controlLabel = globals.controlLane.firstChild;
+  }
+
+  /**
+   * Given the container element housing the display, create and append the
+   * footer under the notes holding the velocity and controller lanes. Like
+   * the header, it stays in view when scrolling through the notes.
+   */
+  function initFooter(container) {
+    var footer = document.createElement("div");
+    footer.style.width = "max-content";
+    footer.style.position = "sticky";
+    footer.style.bottom = 0;
+    footer.style.zIndex = 5;
+    initVelocityLane(footer);
+    initControlLane(footer);
+    container.appendChild(footer);
+  }
+
+  /**
+   * Given the container element housing the display, create and append the
+   * keyboard and the canvas objects that will be used for displaying notes.
+   * The latter are stacked on top of each other: the background canvas at the
+   * bottom, then the note canvas, the time bar, and the drag canvas (which gets
+   * all the mouse events) on top.
+   */
+  function initNoteCanvas(container) {
+    var row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.width = "max-content";
+    initKeyboardCanvas(row);
+    var canvasWrap = document.createElement("div");
+    canvasWrap.style.position = "relative";
+    globals.backgroundCanvas = document.createElement("canvas");
+    globals.backgroundCanvas.width = 0;
+    globals.backgroundCanvas.height = 0;
+    globals.backgroundCanvas.style.position = "absolute";
+    globals.backgroundCanvas.style.left = 0;
+    globals.backgroundCanvas.style.top = 0;
+    globals.backgroundCanvas.style.zIndex = 0;
+    canvasWrap.appendChild(globals.backgroundCanvas);
+    globals.noteCanvas = document.createElement("canvas");
+    globals.noteCanvas.width = 0;
+    globals.noteCanvas.height = getDisplayHeight();
+    globals.noteCanvas.style.display = "block";
+    globals.noteCanvas.style.position = "relative";
+    globals.noteCanvas.style.zIndex = 1;
+    canvasWrap.appendChild(globals.noteCanvas);
+    globals.dragCanvas = document.createElement("canvas");
+    globals.dragCanvas.width = 0;
+    globals.dragCanvas.height = 0;
+    globals.dragCanvas.style.position = "absolute";
+    globals.dragCanvas.style.left = 0;
+    globals.dragCanvas.style.top = 0;
+    globals.dragCanvas.style.zIndex = 3;
+    globals.dragCanvas.addEventListener("mousemove", onMouseMoveDragCanvas);
+    globals.dragCanvas.addEventListener("mouseleave", onMouseLeaveDragCanvas);
+    globals.dragCanvas.addEventListener("mousedown", onMouseDownDragCanvas);
+    document.addEventListener("mousedown", onMouseDownDocument);
+    globals.dragCanvas.addEventListener("mouseup", onMouseUpDragCanvas);
+    document.addEventListener("keydown", onKeyDownDocument);
+    document.addEventListener("copy", onCopyDocument);
+    document.addEventListener("cut", onCutDocument);
+    document.addEventListener("paste", onPasteDocument);
+    canvasWrap.appendChild(globals.dragCanvas);
+    row.appendChild(canvasWrap);
+    container.appendChild(row);
+  }
+
+  /**
+   * Initialize the canvases used for the display as children of the provided
+   * element, calling the provided callbacks when the user interacts with it.
+   *
+   * The callbacks argument is an object with the following attributes:
+   * - deleteCallback: called with the argument of a list of notes if the user
+   *   ever tries to 'delete' said notes
+   * - updateCallback: called with the arguments indices and newNotes (lists
+   *   of the same length) if the user tries to 'update' the notes at indices
+   *   to newNotes, all at once
+   * - createCallback: called with the argument of a new note if the user draws
+   *   one (see notedisplay.setDrawMode)
+   * - pasteCallback: called with the arguments notes and note if the user
+   *   pastes; notes is the pasted JSON list (unchecked, with times relative to
+   *   where it should be pasted), and note is the MIDI note value its lowest
+   *   note should be pasted at (undefined to keep its pitches)
+   * - setTimeCallback: called with the argument of the time (ms) the user
+   *   wants to move the time bar to
+   * - playPauseCallback: called when the user toggles play/pause
+   * - playPauseKeepSpotCallback: called when the user toggles play/pause
+   *   (keep spot)
+   * - setLoopCallback: called with the argument of the loop region (object
+   *   with "start" and "end" in ms) the user dragged out on the ruler, or
+   *   undefined if the user clicked the ruler to clear it
+   * - undoCallback: called when the user wants to undo the last edit
+   * - redoCallback: called when the user wants to redo the last undone edit
+   * - auditionCallback: called with the argument of a MIDI note value when
+   *   the user clicks that key of the keyboard to hear it
+   * - tapCallback: called when the user presses the tap key (TAP_KEY) to tap
+   *   along with the beat
+   * - setGridCallback: called with the argument of a new grid if the user
+   *   drags a beat of the shown grid's tempo map to another time
+   * - setControlEventsCallback: called with the argument of a new list of
+   *   all of the control events (ordered by time) if the user draws or erases
+   *   some in the controller lane
+   *
+   * This function must be called first before you can use other display
+   * functions.
+   */
+  notedisplay.init = function(container, callbacks) {
+    globals.container = container;
+    container.addEventListener("wheel", onWheelDisplay, {passive: false});
+    initTimeBarSvg(container);
+    initHeader(container);
+    initNoteCanvas(container);
+    initFooter(container);
+    notedisplay.showTime(globals.time);
+    globals.deleteCallback = callbacks.deleteCallback;
+    globals.updateCallback = callbacks.updateCallback;
+    globals.createCallback = callbacks.createCallback;
+    globals.pasteCallback = callbacks.pasteCallback;
+    globals.setTimeCallback = callbacks.setTimeCallback;
+    globals.playPauseCallback = callbacks.playPauseCallback;
+    globals.playPauseKeepSpotCallback = callbacks.playPauseKeepSpotCallback;
+    globals.setLoopCallback = callbacks.setLoopCallback;
+    globals.undoCallback = callbacks.undoCallback;
+    globals.redoCallback = callbacks.redoCallback;
+    globals.auditionCallback = callbacks.auditionCallback;
+    globals.tapCallback = callbacks.tapCallback;
+    globals.setGridCallback = callbacks.setGridCallback;
+    globals.setControlEventsCallback = callbacks.setControlEventsCallback;
+  };
+
+  /**
+   * Show the bars and beats of the provided grid (see grid.js) as lines behind
+   * the notes and numbers on the ruler, or hide them if it's undefined.
+   */
+  notedisplay.showGrid = function(beatGrid) {
+    globals.grid = beatGrid;
+    drawRuler();
+    drawBackground();
+  };
+
+  /**
+   * Turn draw mode on or off. In draw mode, dragging across empty space in the
+   * display draws a new note there (clicking still moves the time bar).
+   */
+  notedisplay.setDrawMode = function(isDrawMode) {
+    globals.isDrawMode = isDrawMode;
+    globals.dragCanvas.style.cursor = isDrawMode ? "crosshair" : "";
+  };
+
+  /**
+   * Given a list of notes, make a copy of it for our own internal use and store
+   * it globally, never to be modified, just updated using this function.
+   *
+   * Ideally, we wouldn't store these notes globally but just implicitly in the
+   * event listeners since they're only used there, but since we would then have
+   * to keep around the event listeners to be able to replace them, we might as
+   * well just keep the notes model around.
+   */
+  function setNotes(notes) {
+    globals.notes = util.noteListCopy(notes);
+  }
+
+  /**
+   * Using the internal list of notes as a model, clear the current display and
+   * draw a new one.
+   */
+  function refreshDisplay() {
+    clearMouseDown()
+    clearSelection();
+    clearHighlight();
+    drawDisplay();
+  }
+
+  /**
+   * Return the length (ms) of everything shown: the notes (including those of
+   * the other tracks), the control events, or the audio, whichever is
+   * longest.
+   */
+  function getTotalTime() {
+    var controlEvents = globals.controlEvents;
+    var lastControlTime = controlEvents.length
+      ? controlEvents[controlEvents.length - 1].time
+      : 0;
+    var otherTracksTime = globals.otherTracks.reduce(function(maxTime, track) {
+      return Math.max(maxTime, util.getMaxTime(track.notes));
+    }, 0);
+    return Math.max(
+      util.getMaxTime(globals.notes), otherTracksTime, lastControlTime,
+      globals.audioDuration
+    );
+  }
+
+  /**
+   * Size the canvases and time bar for the current zoom, then draw the ruler,
+   * the waveform, the keyboard, the background, the lanes, and the internal
+   * list of notes.
+   */
+  function drawDisplay() {
+    // Setting the width/height clears the canvas as well
+    globals.noteCanvas.width = Math.ceil(getTotalTime() * globals.pxPerMs);
+    globals.noteCanvas.height = getDisplayHeight();
+    globals.dragCanvas.width = globals.noteCanvas.width;
+    globals.dragCanvas.height = globals.noteCanvas.height;
+    globals.rulerCanvas.width = globals.noteCanvas.width;
+    var timeBarHeight = getHeaderHeight() + getDisplayHeight();
+    globals.timeBarSvg.setAttributeNS(null, "height", timeBarHeight);
+    globals.timeBarSvg.firstChild.setAttributeNS(null, "y2", timeBarHeight);
+    notedisplay.showTime(globals.time);
+    drawRuler();
+    drawWaveform();
+    drawKeyboard();
+    drawBackground();
+    drawVelocityLane();
+    drawControlLane();
+    var ctx = globals.noteCanvas.getContext("2d");
+    // Notes of other tracks and on other channels are drawn first so they
+    // stay behind the rest
+    ctx.globalAlpha = globals.OTHER_TRACK_ALPHA;
+    globals.otherTracks.forEach(function(track) {
+      track.notes.forEach(function(note) {
+        drawNoteWithColor(note, track.color, ctx);
+      });
+    });
+    ctx.globalAlpha = 1;
+    globals.notes.forEach(function(note) {
+      if (!isOnShownChannel(note)) {
+        drawNote(note, ctx);
+      }
+    });
+    getEditableNotes().forEach(function(note) { drawNote(note, ctx); });
+  }
+
+  /**
+   * Return true if the two notes have the same start, end, and note value.
+   */
+  function isSameNote(note1, note2) {
+    return (note1.start === note2.start) && (note1.end === note2.end) &&
+      (note1.note === note2.note);
+  }
+
+  /**
+   * Given a list of notes, clear whatever notes were drawn before and display
+   * the provided notes. A note is an object with the following attributes:
+   * - start: double representing time (ms) the note begins
+   * - end: double representing time (ms) the note ends
+   * - note: integer MIDI note value (60 is middle C)
+   * The second argument, audioBuffer (which may be undefined), if present,
+   * determines the minimum length of the noteCanvas so that it is at least as
+   * long as the song, and has its waveform shown above the notes.
+   */
+  notedisplay.showNotes = function(notes, audioBuffer) {
+    setNotes(notes);
+    globals.audioDuration = audioBuffer ? (audioBuffer.duration * 1000.0) : 0;
+    if (audioBuffer !== globals.audioBuffer) {
+      globals.audioBuffer = audioBuffer;
+      globals.waveformEnvelope = audioBuffer
+        ? getWaveformEnvelope(audioBuffer)
+        : undefined;
+      if (audioBuffer && globals.spectrogramOptions.visible) {
+        // Errors are reported when the spectrogram is shown with
+        // showSpectrogram instead
+        computeSpectrogram(audioBuffer).then(drawBackground, function() {});
+      }
+    }
+    refreshDisplay();
+    notedisplay.select(globals.notesToSelect);
+    globals.notesToSelect = [];
+  };
+
+  /**
+   * Given a list of other tracks, each an object with a list of "notes" and
+   * the "color" (CSS color) to draw them in, show their notes faded behind
+   * the notes shown with showNotes, in place of the tracks shown before.
+   * Their notes can't be edited, but dragged times can snap to them.
+   *
+   * The notes and control events of the current track are given too, and
+   * shown like with showNotes and showControlEvents, so that everything is
+   * redrawn only once.
+   */
+  notedisplay.showTracks = function(tracks, notes, controlEvents) {
+    // Other tracks' notes are only ever read, so they aren't copied
+    globals.otherTracks = tracks.map(function(track) {
+      return {notes: track.notes, color: track.color};
+    });
+    globals.controlEvents = controlEvents.slice();
+    globals.controlDraw = undefined;
+    notedisplay.showNotes(notes, globals.audioBuffer);
+  };
+
+  /**
+   * Given a list of control events (see midi.getControlEventFromMessage)
+   * ordered by time, show them in place of the ones shown before.
+   */
+  notedisplay.showControlEvents = function(controlEvents) {
+    globals.controlEvents = controlEvents.slice();
+    globals.controlDraw = undefined;
+    drawDisplay();
+  };
+
+  /**
+   * Show the values of the control with the provided key (see
+   * midi.getControlKey) in the controller lane, or hide the lane if the key
+   * is undefined.
+   */
+  notedisplay.showControlLane = function(controlKey) {
+    globals.controlKey = controlKey;
+    globals.controlDraw = undefined;
+    globals.controlLane.style.display = controlKey ? "flex" : "none";
+    if (controlKey) {
+      globals.controlLabel.textContent =
+        globals.CONTROL_NAMES[controlKey] || controlKey;
+      drawControlLane();
+    }
+  };
+
+  /**
+   * Add the shown notes with the same start, end, and note value as any of the
+   * provided notes to the selection.
+   */
+  notedisplay.select = function(notes) {
+    selectNotes(getSelectableNotes().filter(function(shownNote) {
+      return notes.some(function(note) {
+        return isSameNote(shownNote, note);
+      });
+    }));
+  };
+
+  /**
+   * Set how dragged times (of notes being moved, stretched, or drawn) snap,
+   * given an object with the following attributes:
+   * - enabled: whether they snap (holding alt while dragging switches this)
+   * - target: what they snap to: "grid" for the nearest line of the grid
+   *   (if one is shown), "notes" for the nearest edge of another note, or
+   *   "onsets" for the nearest onset of the audio (only when within
+   *   SNAP_DISTANCE, for notes and onsets)
+   * - division: grid lines snapped to, as the number of them in a whole note
+   *   (see grid.quantizeTime); also the step nudge keys move notes by
+   * - onsets: list of the times (ms) of the audio's onsets
+   */
+  notedisplay.setSnap = function(options) {
+    globals.snap = options;
+  };
+
+  /**
+   * Set whether the notes shown (with showNotes) are locked, so they can't be
+   * selected or dragged.
+   */
+  notedisplay.setLocked = function(isLocked) {
+    globals.isLocked = isLocked;
+  };
+
+  /**
+   * Only let the notes and control events on the provided channel (0-15) be
+   * edited, showing the notes on other channels faded behind them, or let
+   * every channel be edited if it's undefined. Notes and control events drawn
+   * go on the channel (or channel 0, if every channel is shown).
+   */
+  notedisplay.showChannel = function(channel) {
+    globals.channel = channel;
+    refreshDisplay();
+  };
+
+  /**
+   * Return a list of copies of the selected notes, in order of their start.
+   */
+  notedisplay.getSelectedNotes = function() {
+    var notes = util.noteListCopy(Array.from(globals.selectedNotes));
+    return notes.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  };
+
+  /**
+   * Move the time bar to the location corresponding to the provided time (ms).
+   */
+  notedisplay.showTime = function(time) {
+    globals.time = time;
+    var offset = globals.KEYBOARD_WIDTH + (globals.pxPerMs * time);
+    globals.timeBarSvg.style.transform = "translate(" + offset + "px)";
+  };
+
+  /**
+   * Return the largest number of pixels that can correspond to a millisecond
+   * without making the canvases too wide to draw.
+   */
+  function getMaxPxPerMs() {
+    var totalTime = getTotalTime();
+    if (totalTime) {
+      return Math.min(
+        globals.MAX_PX_PER_MS, globals.MAX_CANVAS_WIDTH / totalTime
+      );
+    } else {
+      return globals.MAX_PX_PER_MS;
+    }
+  }
+
+  /**
+   * Redraw the display with the time scaled by the provided pixels per
+   * millisecond and the notes the provided height (px), clamped to what's
+   * allowed. The time and note value at the provided client coordinates stay
+   * at the same place on the screen (the container is scrolled to keep them
+   * there); if the coordinates are undefined, the middle of the visible part
+   * of the display is kept in place instead.
+   */
+  function setZoom(pxPerMs, noteHeight, clientX, clientY) {
+    var containerRect = globals.container.getBoundingClientRect();
+    if (clientX === undefined) {
+      clientX = containerRect.left + (globals.container.clientWidth / 2);
+      clientY = containerRect.top + (globals.container.clientHeight / 2);
+    }
+    var [x, y] = getCanvasCoordsFromMouseEvent(
+      {x: clientX, y: clientY}, globals.noteCanvas
+    );
+    var canvasRect = globals.noteCanvas.getBoundingClientRect();
+    var canvasLeft = canvasRect.left - containerRect.left +
+      globals.container.scrollLeft;
+    var canvasTop = canvasRect.top - containerRect.top +
+      globals.container.scrollTop;
+    var time = x / globals.pxPerMs;
+    var rows = y / getRowHeight();
+    clearMouseDown();
+    clearHighlight();
+    clearDrag();
+    globals.pxPerMs = Math.max(
+      globals.MIN_PX_PER_MS, Math.min(getMaxPxPerMs(), pxPerMs)
+    );
+    globals.noteHeight = Math.max(
+      globals.MIN_NOTE_HEIGHT, Math.min(globals.MAX_NOTE_HEIGHT, noteHeight)
+    );
+    drawDisplay();
+    globals.container.scrollLeft = canvasLeft + (time * globals.pxPerMs) -
+      (clientX - containerRect.left);
+    globals.container.scrollTop = canvasTop + (rows * getRowHeight()) -
+      (clientY - containerRect.top);
+  }
+
+  /**
+   * Called when the mouse wheel is turned over the display. With Ctrl (or
+   * a trackpad pinch, which browsers report the same way) held, zoom time in
+   * or out around the cursor; with Alt held, zoom the note height instead.
+   */
+  function onWheelDisplay(wheelEvent) {
+    if (!(wheelEvent.ctrlKey || wheelEvent.altKey) || !wheelEvent.deltaY) {
+      return;
+    }
+    wheelEvent.preventDefault();
+    var zoomIn = wheelEvent.deltaY < 0;
+    if (wheelEvent.ctrlKey) {
+      var factor = zoomIn
+        ? globals.WHEEL_ZOOM_FACTOR
+        : (1 / globals.WHEEL_ZOOM_FACTOR);
+      setZoom(
+        globals.pxPerMs * factor, globals.noteHeight, wheelEvent.clientX,
+        wheelEvent.clientY
+      );
+    } else {
+      setZoom(
+        globals.pxPerMs, globals.noteHeight + (zoomIn ? 1 : -1),
+        wheelEvent.clientX, wheelEvent.clientY
+      );
+    }
+  }
+
+  /**
+   * Zoom time in (factor above 1) or out (factor below 1) by the provided
+   * factor, keeping the middle of the visible part of the display in place.
+   */
+  notedisplay.zoomTime = function(factor) {
+    setZoom(globals.pxPerMs * factor, globals.noteHeight);
+  };
+
+  /**
+   * Make the notes taller (positive change) or shorter (negative change) by
+   * the provided number of pixels, keeping the middle of the visible part of
+   * the display in place.
+   */
+  notedisplay.zoomPitch = function(change) {
+    setZoom(globals.pxPerMs, globals.noteHeight + change);
+  };
+
+  /**
+   * Zoom time so that everything shown (notes and audio) fits in the width of
+   * the container.
+   */
+  notedisplay.zoomToFit = function() {
+    var totalTime = getTotalTime();
+    if (totalTime) {
+      var width = globals.container.clientWidth - globals.KEYBOARD_WIDTH;
+      setZoom(width / totalTime, globals.noteHeight);
+      globals.container.scrollLeft = 0;
+    }
+  };
+
+  /**
+   * Show the provided loop region (object with "start" and "end" in ms) on the
+   * ruler, or no loop region if undefined.
+   */
+  notedisplay.showLoop = function(loop) {
+    globals.loop = loop;
+    drawRuler();
+  };
+
+  /**
+   * Mark the provided punch range (object with "start" and "end" in ms) along
+   * the bottom of the ruler, or remove the mark if it's undefined.
+   */
+  notedisplay.showPunch = function(punch) {
+    globals.punch = punch;
+    drawRuler();
   };
 
   /**
    * This function starts a continous animation loop that will update the
    * location of the time bar to match what the provided callback returns as the
-   * current time (ms), never going below the minTime.
+   * current time (ms), never going below the minTime until it first reaches
+   * it (after which the time may jump back to the start of a loop).
    *
    * See playback.getTime for why minTime is necessary.
    */
   notedisplay.startContinuousTimeUpdate = function(getTime, minTime) {
     if (!globals.isContinuouslyUpdatingTime) {
       globals.isContinuouslyUpdatingTime = true;
+      var hasReachedMinTime = false;
       var onAnimationFrame = function() {
         if (globals.isContinuouslyUpdatingTime) {
-          var time = Math.max(minTime, getTime());
+          var time = getTime();
+          hasReachedMinTime = hasReachedMinTime || (time >= minTime);
+          if (!hasReachedMinTime) {
+            time = minTime;
+          }
           notedisplay.showTime(time);
           window.requestAnimationFrame(onAnimationFrame);
         }
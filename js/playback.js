@@ -1,7 +1,9 @@
 /**
- * This module handles playback of a list of recorded 'note' objects, each with
- * a MIDI note value, MIDI velocity, start time, and end time. Note that it is
- * only designed to play back one list of notes at a time.
+ * This module handles playback of tracks of recorded 'note' objects, each with
+ * a MIDI note value, MIDI velocity, start time, and end time, along with
+ * control events (see midi.getControlEventFromMessage), each track sent to its
+ * own MIDI output. Note that it is only designed to play back one set of
+ * tracks at a time.
  */
 var playback = {};
 
@@ -18,40 +20,82 @@ var playback = {};
     // AudioBufferSourceNode to start in sync with the MIDI events
     SYNC_PAD: 50,
     //// Variables
-    // MIDIOutput object for sending playback MIDI events to
-    midiOut: undefined,
-    // AudioBufferSourceNode of the original song being transcribed (may be
-    // undefined)
-    bufferSource: undefined,
+    // Tracks being played back (see playback.play), each also with the
+    // "noteIndex" of its next note and the "controlIndex" of its next control
+    // event that we need to schedule for playback
+    tracks: [],
+    // AudioBuffer of the original song being transcribed (may be undefined)
+    audioBuffer: undefined,
+    // AudioContext used to play the audioBuffer
+    audioContext: undefined,
+    // AudioContext time (s) at which the start of the audioBuffer would play
+    // (if the audio were played from the start without looping)
+    audioZeroTime: undefined,
+    // AudioBufferSourceNodes started for playing the audioBuffer (one for each
+    // time through the loop)
+    bufferSources: [],
     // ID returned by setInterval for the function scheduling blocks of playback
     playbackIntervalId: undefined,
     // Time (ms) from page load to when playback started
     startPlaybackTime: undefined,
     // Time (ms) from page load to when playback must be done
     endPlaybackTime: undefined,
-    // Index of the next note in recordedNotes that we need to schedule for
-    // playback
-    playbackIndex: 0,
     // Function to call when playback is finished or stopped
-    stopCallback: undefined
+    stopCallback: undefined,
+    // Speed of playback, where 1 is normal speed and 0.5 is half speed
+    rate: 1,
+    // Region (object with "start" and "end" in ms) to repeat, or undefined if
+    // playback isn't looping
+    loop: undefined,
+    // Amount of time (ms) to add to a note's start to get its time along the
+    // timeline of playback, which keeps going when the loop jumps back (this
+    // increases by the length of the loop each time through it)
+    loopOffset: 0,
+    // Metronome to click along with playback (see playback.play), or
+    // undefined if there is none
+    metronome: undefined,
+    // GainNode the metronome's clicks are played through, setting their
+    // volume (disconnected when playback stops, silencing any scheduled ones)
+    clickOutput: undefined,
+    // Time (ms) in the song from which the next clicks need to be scheduled
+    clickTime: 0,
+    // Time (ms) along the timeline of playback at which the metronome stops
+    // clicking (Infinity if it clicks until stopped)
+    clickEndTime: Infinity
   };
 
   // Whether playback scheduling is going on currently
   playback.isPlaying = false;
 
   /**
-   * Stops scheduling notes for playback and resets the playback index,
-   * returning the time (ms, relative to the start) at which stop was called.
+   * Stops scheduling notes for playback and forgets the tracks, returning the
+   * time (ms, relative to the start) at which stop was called. If a track had
+   * control events, the controls of their channels are put back to rest after
+   * anything already scheduled.
    */
   playback.stop = function() {
     var stopTime = playback.getTime();
     if (playback.isPlaying) {
       clearInterval(globals.playbackIntervalId);
-      if (globals.bufferSource) {
-        globals.bufferSource.stop();
+      var resetTime = performance.now() + globals.PLAYBACK_LOOKAHEAD;
+      globals.tracks.forEach(function(track) {
+        var resetChannels = new Set(track.controlEvents.map(function(event) {
+          return getChannel(track, event);
+        }));
+        resetChannels.forEach(function(channel) {
+          midi.resetControls(track.midiOut, resetTime, channel);
+        });
+      });
+      globals.bufferSources.forEach(function(bufferSource) {
+        bufferSource.stop();
+      });
+      globals.bufferSources = [];
+      if (globals.clickOutput) {
+        globals.clickOutput.disconnect();
+        globals.clickOutput = undefined;
       }
       playback.isPlaying = false;
-      globals.playbackIndex = 0;
+      globals.tracks = [];
       if (globals.stopCallback) {
         globals.stopCallback();
       }
@@ -59,104 +103,388 @@ var playback = {};
     return stopTime;
   };
 
+  /**
+   * Given a time (ms) along the timeline of playback, return the time (ms)
+   * from page load at which it will be played, taking the rate into account.
+   */
+  function getPerformanceTime(time) {
+    return globals.startPlaybackTime + (time / globals.rate);
+  }
+
+  /**
+   * Return the time (ms) along the timeline of playback, which (unlike
+   * playback.getTime) keeps increasing when the loop jumps back to its start.
+   */
+  function getTimelineTime() {
+    return (performance.now() - globals.startPlaybackTime) * globals.rate;
+  }
+
+  /**
+   * If there's audio to play, start playing it from the provided time (ms) in
+   * the song at the provided time (ms) along the timeline of playback, stopping
+   * at the optional end time (ms) in the song.
+   */
+  function startAudio(songTime, timelineTime, endSongTime) {
+    if (!globals.audioBuffer) {
+      return;
+    }
+    var bufferSource = globals.audioContext.createBufferSource();
+    bufferSource.buffer = globals.audioBuffer;
+    bufferSource.connect(globals.audioContext.destination);
+    var when = globals.audioZeroTime + (timelineTime / globals.rate / 1000);
+    var offset = songTime / globals.rate / 1000;
+    if (endSongTime === undefined) {
+      bufferSource.start(when, offset);
+    } else {
+      var duration = (endSongTime - songTime) / globals.rate / 1000;
+      bufferSource.start(when, offset, duration);
+    }
+    globals.bufferSources.push(bufferSource);
+  }
+
+  /**
+   * Jump the scheduling of notes back to the start of the loop (chasing what
+   * was going on there, see chaseTrack), and start the audio for the next
+   * time through it.
+   */
+  function startNextLoop() {
+    globals.loopOffset += globals.loop.end - globals.loop.start;
+    globals.tracks.forEach(function(track) {
+      track.noteIndex = getFirstNoteIndex(track.notes, globals.loop.start);
+      track.controlIndex = getFirstControlIndex(
+        track.controlEvents, globals.loop.start
+      );
+      chaseTrack(track, globals.loop.start);
+    });
+    globals.clickTime = globals.loop.start;
+    startAudio(
+      globals.loop.start, globals.loop.start + globals.loopOffset,
+      globals.loop.end
+    );
+  }
+
+  /**
+   * Given a playing track and a note or control event in it, return the
+   * channel (0-15) to send it on: the track's channel, if it has one, or else
+   * its own (default 0).
+   */
+  function getChannel(track, noteOrEvent) {
+    if (track.channel !== undefined) {
+      return track.channel;
+    }
+    return noteOrEvent.channel || 0;
+  }
+
+  /**
+   * Given a playing track and a time (ms) in the song that playback is
+   * starting from (in the current time through the loop, if looping), send
+   * scheduled MIDI events to the track's output so it sounds as though it had
+   * been playing all along: each control the track changes is set to where it
+   * was at the time (or to rest, if it hadn't changed yet), and the notes
+   * still sounding at the time start then, ending when they would have.
+   */
+  function chaseTrack(track, time) {
+    var onTime = getPerformanceTime(time + globals.loopOffset);
+    // Map of channel and control key (see midi.getControlKey) to the control
+    // event setting that control's state at the time
+    var states = {};
+    track.controlEvents.forEach(function(controlEvent) {
+      var key = getChannel(track, controlEvent) + "," +
+        midi.getControlKey(controlEvent);
+      if (controlEvent.time < time) {
+        states[key] = controlEvent;
+      } else if (!states[key]) {
+        states[key] = Object.assign({}, controlEvent, {
+          value: midi.getControlRestingValue(controlEvent)
+        });
+      }
+    });
+    Object.keys(states).forEach(function(key) {
+      midi.sendControlEvent({
+        midiOutput: track.midiOut,
+        time: onTime,
+        controlEvent: Object.assign({}, states[key], {
+          channel: getChannel(track, states[key])
+        })
+      });
+    });
+    var loop = globals.loop;
+    for (var i=0; i<track.notes.length; i++) {
+      var noteObj = track.notes[i];
+      if (noteObj.start >= time) {
+        break;
+      }
+      if (noteObj.end <= time) {
+        continue;
+      }
+      // Notes still sounding at the end of the loop are cut off there
+      var end = loop ? Math.min(noteObj.end, loop.end) : noteObj.end;
+      midi.sendNote({
+        "midiOutput": track.midiOut,
+        "note": noteObj.note,
+        "onTime": onTime,
+        "offTime": getPerformanceTime(end + globals.loopOffset),
+        "velocity": noteObj.velocity,
+        "channel": getChannel(track, noteObj)
+      });
+    }
+  }
+
+  /**
+   * Send scheduled MIDI events to the provided track's output for its notes
+   * which start (and control events which happen) in the current time through
+   * the loop, if looping, up until the provided time (ms) along the timeline
+   * of playback.
+   */
+  function scheduleTrack(track, sectionEndTime) {
+    var loop = globals.loop;
+    while (track.noteIndex < track.notes.length) {
+      var noteObj = track.notes[track.noteIndex];
+      if ((loop && (noteObj.start >= loop.end)) ||
+          ((noteObj.start + globals.loopOffset) > sectionEndTime)) {
+        break;
+      }
+      // Notes still sounding at the end of the loop are cut off there
+      var end = loop ? Math.min(noteObj.end, loop.end) : noteObj.end;
+      midi.sendNote({
+        "midiOutput": track.midiOut,
+        "note": noteObj.note,
+        "onTime": getPerformanceTime(noteObj.start + globals.loopOffset),
+        "offTime": getPerformanceTime(end + globals.loopOffset),
+        "velocity": noteObj.velocity,
+        "channel": getChannel(track, noteObj)
+      });
+      track.noteIndex++;
+    }
+    while (track.controlIndex < track.controlEvents.length) {
+      var controlEvent = track.controlEvents[track.controlIndex];
+      var time = controlEvent.time + globals.loopOffset;
+      if ((loop && (controlEvent.time >= loop.end)) ||
+          (time > sectionEndTime)) {
+        break;
+      }
+      midi.sendControlEvent({
+        midiOutput: track.midiOut,
+        time: getPerformanceTime(time),
+        controlEvent: Object.assign({}, controlEvent, {
+          channel: getChannel(track, controlEvent)
+        })
+      });
+      track.controlIndex++;
+    }
+  }
+
+  /**
+   * Schedule the metronome's clicks (if there is a metronome) on the beats of
+   * its grid in the current time through the loop, if looping, up until the
+   * provided time (ms) along the timeline of playback.
+   */
+  function scheduleClicks(sectionEndTime) {
+    if (!globals.metronome) {
+      return;
+    }
+    var endTime = sectionEndTime - globals.loopOffset;
+    if (globals.loop) {
+      endTime = Math.min(endTime, globals.loop.end);
+    }
+    var beats = grid.getBeats(
+      globals.metronome.grid, globals.clickTime, endTime
+    );
+    beats.forEach(function(beat) {
+      if ((beat.time < endTime) &&
+          (beat.time + globals.loopOffset < globals.clickEndTime)) {
+        metronome.click(
+          globals.audioContext, globals.clickOutput,
+          util.getAudioContextTime(
+            globals.audioContext,
+            getPerformanceTime(beat.time + globals.loopOffset)
+          ),
+          beat.isBarStart
+        );
+      }
+    });
+    globals.clickTime = Math.max(globals.clickTime, endTime);
+  }
+
   /**
    * Called every PLAYBACK_INTERVAL milliseconds during playback, this function
    * sends scheduled MIDI events corresponding to all of the notes which start
-   * in the next PLAYBACK_LOOKAHEAD milliseconds.
+   * (and control events which happen) in the next PLAYBACK_LOOKAHEAD
+   * milliseconds, for every track.
    */
   function schedulePlaybackSection() {
     var currentTime = performance.now();
-    var currentPlaybackTime = currentTime - globals.startPlaybackTime;
-    var sectionEndTime = currentPlaybackTime + globals.PLAYBACK_LOOKAHEAD;
-    var maxIndex = globals.notes.length;
-    while (true) {
-      if (globals.playbackIndex >= maxIndex) {
-        if (globals.endPlaybackTime <= currentTime) {
-          playback.stop();
-        }
-        break;
-      } else {
-        var noteObj = globals.notes[globals.playbackIndex];
-        if (noteObj.start <= sectionEndTime) {
-          midi.sendNote({
-            "midiOutput": globals.midiOut,
-            "note": noteObj.note,
-            "onTime": globals.startPlaybackTime + noteObj.start,
-            "offTime": globals.startPlaybackTime + noteObj.end,
-            "velocity": noteObj.velocity
-          });
-          globals.playbackIndex++;
-        } else {
-          break;
-        }
+    var sectionEndTime = getTimelineTime() +
+      (globals.PLAYBACK_LOOKAHEAD * globals.rate);
+    var loop = globals.loop;
+    while (loop && ((loop.end + globals.loopOffset) <= sectionEndTime)) {
+      // Finish this time through the loop before jumping back
+      globals.tracks.forEach(function(track) {
+        scheduleTrack(track, sectionEndTime);
+      });
+      scheduleClicks(sectionEndTime);
+      startNextLoop();
+    }
+    globals.tracks.forEach(function(track) {
+      scheduleTrack(track, sectionEndTime);
+    });
+    scheduleClicks(sectionEndTime);
+    var isClickingUntilStopped = globals.metronome &&
+      (globals.clickEndTime === Infinity);
+    if (!loop && !isClickingUntilStopped &&
+        (globals.endPlaybackTime <= currentTime)) {
+      playback.stop();
+    }
+  }
+
+  /**
+   * Return the index of the first of the provided notes that starts at or
+   * after the provided time (ms), or the number of notes if there is none.
+   */
+  function getFirstNoteIndex(notes, time) {
+    for (var i=0; i<notes.length; i++) {
+      if (notes[i].start >= time) {
+        return i;
+      }
+    }
+    return notes.length;
+  }
+
+  /**
+   * Return the index of the first of the provided control events that
+   * happens at or after the provided time (ms), or the number of control
+   * events if there is none.
+   */
+  function getFirstControlIndex(controlEvents, time) {
+    for (var i=0; i<controlEvents.length; i++) {
+      if (controlEvents[i].time >= time) {
+        return i;
       }
     }
+    return controlEvents.length;
   }
 
   /**
-   * Given a list of notes, a MIDIOutput object, and optionally an AudioBuffer
-   * and AudioContext, stop whatever is currently playing and start playing back
-   * the provided notes through the MIDIOutput device from the provided time
-   * (ms, relative to start), calling the stopCallback when the playback is
+   * Given a list of tracks, and optionally an AudioBuffer and AudioContext,
+   * stop whatever is currently playing and start playing back the notes of
+   * each track through its MIDIOutput device from the provided time (ms,
+   * relative to start), calling the stopCallback when the playback is
    * finished or stopped, while simultaneously playing back the AudioBuffer (if
    * provided) with the given AudioContext.
    *
    * The function takes in an argument object with the following attributes:
-   * - notes: list of recorded note objects to play back (see below)
-   * - midiOut: MIDIOutput device to send the MIDI messages to
+   * - tracks: list of tracks to play back, each an object with the following
+   *   attributes:
+   *   - notes: list of recorded note objects to play back (see below)
+   *   - controlEvents: list of control events (see
+   *     midi.getControlEventFromMessage) to play back along with the notes,
+   *     ordered by time (optional)
+   *   - midiOut: MIDIOutput device to send the track's MIDI messages to
+   *   - channel: MIDI channel (0-15) to send all of the track's messages on
+   *     instead of their own (optional)
    * - startTime: integer time (ms) to start the notes and audio playback from
    * - stopCallback: function called when playback is stopped early or finished
-   * - audioBuffer: AudioBuffer object to play in sync with the notes (optional)
+   * - audioBuffer: AudioBuffer object to play in sync with the notes, already
+   *   stretched to the playback rate (see timestretch.stretch) (optional)
    * - audioContext: AudioContext object for audio buffer playback (if provided)
+   * - rate: speed to play back at, where 1 (the default) is normal speed and
+   *   0.5 is half speed; times given and returned are still relative to the
+   *   notes at normal speed
+   * - loop: object with attributes "start" and "end" (ms); if provided and the
+   *   startTime is before its end, playback jumps back to its start every time
+   *   it reaches its end, until stopped (optional)
+   * - metronome: object with the following attributes, to click on every beat
+   *   through the audioContext (which must be provided), until stopped
+   *   (optional):
+   *   - grid: grid whose beats are clicked on (see grid.js), accented on the
+   *     first beat of each bar
+   *   - volume: volume of the clicks (0-1)
+   *   - isCountInOnly: whether to only click during the count-in, instead of
+   *     until stopped (optional)
+   * - countIn: time (ms) before the startTime to start from, where only the
+   *   metronome plays (optional, defaults to 0)
    *
    * Recorded notes are each an object with attributes:
    * - note: integer MIDI note value (middle C is 60)
    * - velocity: integer MIDI velocity value (loudness, 0-127)
+   * - channel: integer MIDI channel to play the note on (0-15, defaults to 0)
    * - start: double representing time (ms) the note should start relative to
    *   the start of playback
    * - end: double representing time (ms) the note should stop relative to the
    *   start of playback
    * Playback occurs by scheduling PLAYBACK_LOOKAHEAD ms of notes every
-   * PLAYBACK_LOOKAHEAD ms.
+   * PLAYBACK_LOOKAHEAD ms. Notes still sounding at the startTime (and at the
+   * start of the loop, each time it jumps back) are played from then on, with
+   * the controls set to where they were (see chaseTrack). The returned time
+   * (ms from page load) is when the startTime is played, after any count-in.
    */
   playback.play = function(args) {
     if (playback.isPlaying) {
       playback.stop();
     }
     playback.isPlaying = true;
-    globals.midiOut = args.midiOut;
-    globals.notes = args.notes;
-    var hasRemainingNote = false;
-    for (var i=0; i<globals.notes.length; i++) {
-      var noteStart = globals.notes[i].start;
-      if (globals.notes[i].start >= args.startTime) {
-        hasRemainingNote = true;
-        globals.playbackIndex = i;
-        break;
+    globals.rate = (args.rate === undefined) ? 1 : args.rate;
+    globals.loop = (args.loop && (args.startTime < args.loop.end))
+      ? args.loop
+      : undefined;
+    globals.loopOffset = 0;
+    var maxTime = 0;
+    globals.tracks = args.tracks.map(function(track) {
+      var controlEvents = track.controlEvents || [];
+      maxTime = Math.max(maxTime, util.getMaxTime(track.notes));
+      if (controlEvents.length) {
+        maxTime = Math.max(
+          maxTime, controlEvents[controlEvents.length - 1].time
+        );
       }
-    }
-    if (!hasRemainingNote) {
-      globals.playbackIndex = globals.notes.length;
-    }
-    var maxTime = util.getMaxTime(globals.notes);
+      return {
+        notes: track.notes,
+        controlEvents: controlEvents,
+        midiOut: track.midiOut,
+        channel: track.channel,
+        noteIndex: getFirstNoteIndex(track.notes, args.startTime),
+        controlIndex: getFirstControlIndex(controlEvents, args.startTime)
+      };
+    });
+    var countIn = args.countIn || 0;
     var now = performance.now();
-    globals.startPlaybackTime = now - args.startTime + globals.SYNC_PAD;
+    globals.startPlaybackTime = now - (args.startTime / globals.rate) +
+      (countIn / globals.rate) + globals.SYNC_PAD;
+    globals.audioBuffer = args.audioBuffer;
+    globals.audioContext = args.audioContext;
+    globals.metronome = args.metronome;
+    if (args.metronome) {
+      globals.clickOutput = args.audioContext.createGain();
+      globals.clickOutput.gain.value = args.metronome.volume;
+      globals.clickOutput.connect(args.audioContext.destination);
+      globals.clickTime = args.startTime - countIn;
+      globals.clickEndTime = args.metronome.isCountInOnly ? args.startTime :
+        Infinity;
+    }
+    globals.tracks.forEach(function(track) {
+      chaseTrack(track, args.startTime);
+    });
     if (args.audioBuffer) {
-      maxTime = Math.max(maxTime, args.audioBuffer.duration * 1000);
-      globals.bufferSource = args.audioContext.createBufferSource();
-      globals.bufferSource.buffer = args.audioBuffer;
-      globals.bufferSource.connect(args.audioContext.destination);
-      var audioNow = args.audioContext.currentTime*1000;  // Different from now!
-      globals.bufferSource.start(
-        (audioNow + globals.SYNC_PAD) / 1000.0, args.startTime / 1000.0
+      maxTime = Math.max(
+        maxTime, args.audioBuffer.duration * 1000 * globals.rate
+      );
+      globals.audioZeroTime = util.getAudioContextTime(
+        args.audioContext, globals.startPlaybackTime
+      );
+      startAudio(
+        args.startTime, args.startTime,
+        globals.loop ? globals.loop.end : undefined
       );
     }
     globals.playbackIntervalId = setInterval(
       schedulePlaybackSection, globals.PLAYBACK_INTERVAL
     );
-    globals.endPlaybackTime = globals.startPlaybackTime + maxTime;
+    // Playback lasts at least through the count-in
+    globals.endPlaybackTime = getPerformanceTime(
+      Math.max(maxTime, args.startTime)
+    );
     globals.stopCallback = args.stopCallback;
-    return now + globals.SYNC_PAD;
+    return getPerformanceTime(args.startTime);
   };
 
   /**
@@ -173,7 +501,7 @@ var playback = {};
       // returned will be actual-starting-time - SYNC_PAD + time-since-play. We
       // work around this by passing notedisplay a minimum time (the actual
       // starting time) that it will never go below.
-      return performance.now() - globals.startPlaybackTime;
+      return util.getLoopedTime(getTimelineTime(), globals.loop);
     } else {
       return 0;
     }
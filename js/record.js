@@ -1,7 +1,9 @@
 /**
  * This module handles capturing MIDI input in the form of recorded note
- * objects, where a note object has a start time, end time, MIDI note value, and
- * MIDI velocity. It is only meant to record one thing at a time.
+ * objects, where a note object has a start time, end time, MIDI note value,
+ * MIDI velocity, and MIDI channel, along with control events (like the sustain
+ * pedal, see midi.getControlEventFromMessage). It is only meant to record one
+ * thing at a time.
  */
 var record = {};
 
@@ -14,8 +16,8 @@ var record = {};
     midiInputListeningKey: undefined,
     // Time (ms) from page load to when recording started
     startTime: undefined,
-    // Map of note value to the index of a recorded note object in recordedNotes
-    // for which we have yet to see a "NoteOff" event
+    // Map of "channel,note" to the index of a recorded note object in
+    // recordedNotes for which we have yet to see a "NoteOff" event
     hangingNotes: {},
     // MIDIInput with an event listener currently attached for recording
     midiInput: undefined
@@ -25,32 +27,46 @@ var record = {};
   // recorded notes (with no end time) if recording is in progress
   record.notes = [];
 
+  // Control events that have been recorded, ordered by time
+  record.controlEvents = [];
+
   // Whether we are currently recording
   record.isRecording = false;
 
   /**
    * Handler for any incoming MIDIEvent. If it's NoteOn, save a partial note
-   * object, and if it's NoteOff, find the previously saved partial note object
-   * and complete it with an end time (note: only does these things if we're
-   * recording).
+   * object, if it's NoteOff, find the previously saved partial note object
+   * and complete it with an end time, and if it's a control event, save it
+   * (note: only does these things if we're recording).
    */
   function onMidiInputMessage(midiEvent) {
     var midiMsg = midiEvent.data;
     if (record.isRecording) {
+      var channel = midi.getChannelFromMessage(midiMsg);
       if (midi.isNoteOnMessage(midiMsg)) {
         var noteValue = midi.getNoteFromNoteMessage(midiMsg);
-        globals.hangingNotes[noteValue] = record.notes.push({
+        var key = channel + "," + noteValue;
+        globals.hangingNotes[key] = record.notes.push({
           "note": noteValue,
           "start": midiEvent.timeStamp - globals.startTime,
-          "velocity": midi.getVelocityFromNoteMessage(midiMsg)
+          "velocity": midi.getVelocityFromNoteMessage(midiMsg),
+          "channel": channel
         }) - 1;
       } else if (midi.isNoteOffMessage(midiMsg)) {
         var noteValue = midi.getNoteFromNoteMessage(midiMsg);
-        var noteI = globals.hangingNotes[noteValue];
+        var key = channel + "," + noteValue;
+        var noteI = globals.hangingNotes[key];
         if (noteI !== undefined) {
           var noteObj = record.notes[noteI];
           noteObj.end = midiEvent.timeStamp - globals.startTime;
-          delete globals.hangingNotes[noteValue];
+          delete globals.hangingNotes[key];
+        }
+      } else {
+        var controlEvent = midi.getControlEventFromMessage(midiMsg);
+        if (controlEvent) {
+          controlEvent.time = midiEvent.timeStamp - globals.startTime;
+          controlEvent.channel = channel;
+          record.controlEvents.push(controlEvent);
         }
       }
     }
@@ -72,6 +88,7 @@ var record = {};
     }
     globals.startTime = performance.now();
     record.notes = [];
+    record.controlEvents = [];
     record.isRecording = true;
     return globals.startTime;
   };
@@ -79,16 +96,17 @@ var record = {};
   /**
    * Stop saving incoming MIDI events as new recorded notes and mark any hanging
    * notes as though their NoteOff event happened right now. Return a list of
-   * the notes recorded in order.
+   * the notes recorded in order (the control events recorded are left in
+   * record.controlEvents).
    */
   record.stop = function() {
     var end = performance.now() - globals.startTime;
     if (record.isRecording) {
       record.isRecording = false;
-      for (var noteValue in globals.hangingNotes) {
-        var noteObj = record.notes[globals.hangingNotes[noteValue]];
+      for (var key in globals.hangingNotes) {
+        var noteObj = record.notes[globals.hangingNotes[key]];
         noteObj.end = end;
-        delete globals.hangingNotes[noteValue];
+        delete globals.hangingNotes[key];
       }
       return util.noteListCopy(record.notes);
     } else {
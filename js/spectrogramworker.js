@@ -0,0 +1,244 @@
+/**
+ * This script is run as a Web Worker (so the page doesn't freeze) to compute
+ * the spectrogram of a song, with its frequencies grouped into the 128 MIDI
+ * note values so it can be lined up with the notes in notedisplay.
+ *
+ * It's sent a message with the following attributes:
+ * - samples: Float32Array of the song's samples (mono)
+ * - sampleRate: number of samples per second
+ * - frameDuration: time (ms) between each column of the spectrogram
+ * It responds with a message with the following attributes:
+ * - levels: Float32Array with 128 values for each column (ordered from MIDI
+ *   note value 0 up to 127), each the loudness (dB) of that note's frequencies
+ *   relative to the loudest value in the whole spectrogram (so 0 is the
+ *   loudest and everything else is negative)
+ * - frameCount: number of columns
+ * - frameDuration: same as the one given
+ */
+
+// Constants used across functions
+var globals = {
+  // Only one in this many samples is kept (after low-pass filtering) before
+  // analysis, so that a smaller FFT can resolve the same low frequencies
+  DOWNSAMPLE_FACTOR: 4,
+  // Number of taps of the low-pass filter applied before downsampling; more
+  // cut off more sharply but take longer
+  FILTER_LENGTH: 255,
+  // Cutoff of that filter, as a fraction of the Nyquist frequency after
+  // downsampling, low enough that frequencies which would fold back below it
+  // are filtered out
+  FILTER_CUTOFF: 0.8,
+  // Number of (downsampled) samples analyzed for each column; larger can tell
+  // apart lower notes but blurs quick changes
+  FFT_SIZE: 4096,
+  // Quietest level (dB) reported, so silence doesn't become -Infinity
+  MIN_LEVEL: -120
+};
+
+/**
+ * Given a cutoff frequency (as a fraction of the sample rate) and an odd
+ * number of taps, return a Float32Array of the taps of a low-pass FIR filter:
+ * a sinc windowed with a Blackman window, scaled so it doesn't change the
+ * level of low frequencies.
+ */
+function getLowPassFilter(cutoff, length) {
+  var taps = new Float32Array(length);
+  var middle = (length - 1) / 2;
+  var sum = 0;
+  for (var i=0; i<length; i++) {
+    var x = 2 * Math.PI * cutoff * (i - middle);
+    var sinc = (x === 0) ? 1 : Math.sin(x) / x;
+    var blackman = 0.42 - (0.5 * Math.cos((2 * Math.PI * i) / (length - 1))) +
+      (0.08 * Math.cos((4 * Math.PI * i) / (length - 1)));
+    taps[i] = sinc * blackman;
+    sum += taps[i];
+  }
+  for (var i=0; i<length; i++) {
+    taps[i] /= sum;
+  }
+  return taps;
+}
+
+/**
+ * Given a Float32Array of samples and a factor, return a Float32Array with
+ * one in that many of the samples, after low-pass filtering them (see
+ * getLowPassFilter) so that frequencies too high for the lower sample rate
+ * don't fold back into lower ones. Each sample is taken at the same time as
+ * the original it replaces, treating samples past either end as silence.
+ */
+function downsample(samples, factor) {
+  var taps = getLowPassFilter(
+    (0.5 * globals.FILTER_CUTOFF) / factor, globals.FILTER_LENGTH
+  );
+  var middle = (taps.length - 1) / 2;
+  var downsampled = new Float32Array(Math.floor(samples.length / factor));
+  for (var i=0; i<downsampled.length; i++) {
+    var start = (i * factor) - middle;
+    var first = Math.max(0, -start);
+    var last = Math.min(taps.length, samples.length - start);
+    var sum = 0;
+    for (var j=first; j<last; j++) {
+      sum += samples[start + j] * taps[j];
+    }
+    downsampled[i] = sum;
+  }
+  return downsampled;
+}
+
+/**
+ * Given a power of 2, return an object with attributes "cos" and "sin",
+ * Float64Arrays of the FFT's twiddle factors (the cosine and sine of
+ * -2*pi*k/n for each k below n/2), so they don't have to be recomputed for
+ * every column.
+ */
+function getTwiddleFactors(n) {
+  var factors = {
+    cos: new Float64Array(n / 2),
+    sin: new Float64Array(n / 2)
+  };
+  for (var k=0; k<n/2; k++) {
+    factors.cos[k] = Math.cos((-2 * Math.PI * k) / n);
+    factors.sin[k] = Math.sin((-2 * Math.PI * k) / n);
+  }
+  return factors;
+}
+
+/**
+ * Given the real and imaginary parts (Float64Arrays, length a power of 2) of
+ * a signal and its twiddle factors (see getTwiddleFactors), replace them in
+ * place with its discrete Fourier transform, using the iterative radix-2
+ * Cooley-Tukey algorithm.
+ */
+function fft(real, imag, twiddles) {
+  var n = real.length;
+  for (var i=1, j=0; i<n; i++) {
+    var bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      var temp = real[i];
+      real[i] = real[j];
+      real[j] = temp;
+      temp = imag[i];
+      imag[i] = imag[j];
+      imag[j] = temp;
+    }
+  }
+  for (var size=2; size<=n; size<<=1) {
+    var halfSize = size / 2;
+    var twiddleStep = n / size;
+    for (var start=0; start<n; start+=size) {
+      for (var k=0; k<halfSize; k++) {
+        var wReal = twiddles.cos[k * twiddleStep];
+        var wImag = twiddles.sin[k * twiddleStep];
+        var evenI = start + k;
+        var oddI = evenI + halfSize;
+        var oddReal = (real[oddI] * wReal) - (imag[oddI] * wImag);
+        var oddImag = (real[oddI] * wImag) + (imag[oddI] * wReal);
+        real[oddI] = real[evenI] - oddReal;
+        imag[oddI] = imag[evenI] - oddImag;
+        real[evenI] += oddReal;
+        imag[evenI] += oddImag;
+      }
+    }
+  }
+}
+
+/**
+ * Given the sample rate of the analyzed samples, return a list of 128 objects
+ * (one for each MIDI note value) with attributes "low" and "high", the range
+ * of FFT bins (fractional) holding that note's frequencies: from a quarter
+ * tone below it up to a quarter tone above.
+ */
+function getNoteBinRanges(sampleRate) {
+  var binsPerHz = globals.FFT_SIZE / sampleRate;
+  var ranges = [];
+  for (var note=0; note<128; note++) {
+    ranges.push({
+      low: 440 * Math.pow(2, (note - 69.5) / 12) * binsPerHz,
+      high: 440 * Math.pow(2, (note - 68.5) / 12) * binsPerHz
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Given the magnitudes of the FFT bins and a range of bins (see
+ * getNoteBinRanges), return the largest magnitude in the range. If the range
+ * doesn't contain a whole bin, the magnitude at its middle is interpolated
+ * from the bins around it instead. Ranges past the last bin are 0.
+ */
+function getRangeMagnitude(magnitudes, range) {
+  var low = Math.ceil(range.low);
+  var high = Math.min(Math.floor(range.high), magnitudes.length - 1);
+  if (low <= high) {
+    var max = 0;
+    for (var bin=low; bin<=high; bin++) {
+      max = Math.max(max, magnitudes[bin]);
+    }
+    return max;
+  }
+  var middle = (range.low + range.high) / 2;
+  var below = Math.floor(middle);
+  if (below + 1 >= magnitudes.length) {
+    return 0;
+  }
+  var fraction = middle - below;
+  return (magnitudes[below] * (1 - fraction)) +
+    (magnitudes[below + 1] * fraction);
+}
+
+/**
+ * Compute the spectrogram described at the top of this file.
+ */
+onmessage = function(messageEvent) {
+  var samples = downsample(
+    messageEvent.data.samples, globals.DOWNSAMPLE_FACTOR
+  );
+  var sampleRate = messageEvent.data.sampleRate / globals.DOWNSAMPLE_FACTOR;
+  var frameDuration = messageEvent.data.frameDuration;
+  var hop = (frameDuration / 1000) * sampleRate;
+  var frameCount = Math.ceil(samples.length / hop);
+  var levels = new Float32Array(frameCount * 128);
+  var ranges = getNoteBinRanges(sampleRate);
+  var window = new Float32Array(globals.FFT_SIZE);
+  for (var i=0; i<globals.FFT_SIZE; i++) {
+    window[i] = 0.5 - (0.5 * Math.cos((2 * Math.PI * i) / globals.FFT_SIZE));
+  }
+  var twiddles = getTwiddleFactors(globals.FFT_SIZE);
+  var real = new Float64Array(globals.FFT_SIZE);
+  var imag = new Float64Array(globals.FFT_SIZE);
+  var magnitudes = new Float32Array(globals.FFT_SIZE / 2);
+  var maxLevel = globals.MIN_LEVEL;
+  for (var frame=0; frame<frameCount; frame++) {
+    // Each column is centered on its time
+    var start = Math.round((frame * hop) - (globals.FFT_SIZE / 2));
+    for (var i=0; i<globals.FFT_SIZE; i++) {
+      var sampleI = start + i;
+      var isInSamples = (sampleI >= 0) && (sampleI < samples.length);
+      real[i] = isInSamples ? (samples[sampleI] * window[i]) : 0;
+      imag[i] = 0;
+    }
+    fft(real, imag, twiddles);
+    for (var bin=0; bin<magnitudes.length; bin++) {
+      magnitudes[bin] = Math.sqrt((real[bin] * real[bin]) +
+        (imag[bin] * imag[bin]));
+    }
+    for (var note=0; note<128; note++) {
+      var magnitude = getRangeMagnitude(magnitudes, ranges[note]);
+      var level = Math.max(globals.MIN_LEVEL, 20 * Math.log10(magnitude));
+      levels[(frame * 128) + note] = level;
+      maxLevel = Math.max(maxLevel, level);
+    }
+  }
+  for (var i=0; i<levels.length; i++) {
+    levels[i] = Math.max(globals.MIN_LEVEL, levels[i] - maxLevel);
+  }
+  postMessage({
+    levels: levels,
+    frameCount: frameCount,
+    frameDuration: frameDuration
+  }, [levels.buffer]);
+};
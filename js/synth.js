@@ -0,0 +1,225 @@
+/**
+ * This module provides a simple polyphonic software instrument built on the
+ * Web Audio API, usable anywhere a MIDIOutput is (it accepts the same "send"
+ * calls), so notes can be played back without any MIDI devices.
+ */
+var synth = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the synth object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Name shown for the instrument in lists of MIDI outputs
+    NAME: "Built-in synth",
+    // Overall volume (0-1) of the instrument
+    VOLUME: 0.3,
+    // Time (s) for a note to reach full volume after starting
+    ATTACK: 0.005,
+    // Time constant (s) of a held note fading from full volume to the
+    // sustain level
+    DECAY: 0.8,
+    // Fraction of full volume a held note fades to
+    SUSTAIN_LEVEL: 0.3,
+    // Time constant (s) of a note fading out after it's released
+    RELEASE: 0.08,
+    // Volume (relative to the fundamental) of the overtone an octave above
+    OVERTONE_LEVEL: 0.25,
+    // Brightest the low-pass filter can get, as a multiple of a note's
+    // frequency, reached at full velocity
+    MAX_BRIGHTNESS: 10
+  };
+
+  /**
+   * Return the frequency (Hz) of the provided MIDI note value.
+   */
+  function getFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  /**
+   * Given a MIDI note value and velocity, start a voice at the provided time
+   * (AudioContext time, s) through the destination node, and return an object
+   * with the "gain" node controlling its volume and the "oscillators" making
+   * its sound.
+   */
+  function startVoice(audioContext, destination, note, velocity, when) {
+    var frequency = getFrequency(note);
+    var loudness = velocity / 127;
+    var gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(loudness, when + globals.ATTACK);
+    gain.gain.setTargetAtTime(
+      loudness * globals.SUSTAIN_LEVEL, when + globals.ATTACK, globals.DECAY
+    );
+    gain.connect(destination);
+    var filter = audioContext.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = Math.min(
+      audioContext.sampleRate / 2,
+      frequency * (1 + (loudness * (globals.MAX_BRIGHTNESS - 1)))
+    );
+    filter.connect(gain);
+    var fundamental = audioContext.createOscillator();
+    fundamental.type = "triangle";
+    fundamental.frequency.value = frequency;
+    fundamental.connect(filter);
+    var overtone = audioContext.createOscillator();
+    overtone.frequency.value = frequency * 2;
+    var overtoneGain = audioContext.createGain();
+    overtoneGain.gain.value = globals.OVERTONE_LEVEL;
+    overtone.connect(overtoneGain);
+    overtoneGain.connect(filter);
+    fundamental.start(when);
+    overtone.start(when);
+    return {gain: gain, oscillators: [fundamental, overtone]};
+  }
+
+  /**
+   * Fade out the provided voice (see startVoice) starting at the provided time
+   * (AudioContext time, s), then stop it once it's silent, unless the release
+   * is cancelled first (see holdVoice). The time is kept in the voice's
+   * "releaseTime".
+   */
+  function releaseVoice(audioContext, voice, when) {
+    voice.gain.gain.cancelScheduledValues(when);
+    voice.gain.gain.setTargetAtTime(0, when, globals.RELEASE);
+    voice.releaseTime = when;
+    var stopTime = when + (globals.RELEASE * 10);
+    setTimeout(function() {
+      if (voice.releaseTime === when) {
+        voice.oscillators.forEach(function(oscillator) {
+          oscillator.stop();
+        });
+        voice.gain.disconnect();
+      }
+    }, (stopTime - audioContext.currentTime) * 1000);
+  }
+
+  /**
+   * Cancel the release scheduled for the provided voice (see releaseVoice), so
+   * that it keeps sounding.
+   */
+  function holdVoice(voice) {
+    voice.gain.gain.cancelScheduledValues(voice.releaseTime);
+    voice.releaseTime = undefined;
+  }
+
+  /**
+   * Given an AudioContext, return an object that plays the MIDI messages sent
+   * to it with a software instrument. Like a MIDIOutput, it has a "name" and a
+   * "send" function taking a list of MIDI bytes and an optional timestamp (ms
+   * from page load, see performance.now) at which to play them, so it can be
+   * given to the midi module's functions. Only Note On, Note Off, and sustain
+   * pedal messages are played; anything else is ignored.
+   *
+   * Playback sends a note's Note Off along with its Note On, often before a
+   * sustain pedal press that happens first, so notes whose release is still
+   * to come when the pedal goes down are held too.
+   */
+  synth.createOutput = function(audioContext) {
+    var output = audioContext.createGain();
+    output.gain.value = globals.VOLUME;
+    output.connect(audioContext.destination);
+    // Map of "channel,note" to the voice playing it (see startVoice)
+    var voices = {};
+    // Map of channel to an object with "isDown", whether its sustain pedal is
+    // down, and the "time" (AudioContext time, s) it last changed
+    var pedals = {};
+    // List of the voices that have been let go of but may still be sounding,
+    // each an object with the "key" and "channel" it was played with and the
+    // "voice" itself
+    var letGo = [];
+
+    /**
+     * Return whether the provided voice has been released and finished
+     * fading out.
+     */
+    function isFinished(voice) {
+      return (voice.releaseTime !== undefined) &&
+        (voice.releaseTime + (globals.RELEASE * 10) <=
+          audioContext.currentTime);
+    }
+
+    /**
+     * Let go of the voice with the provided key at the provided time,
+     * releasing it unless its channel's sustain pedal is down.
+     */
+    function letGoOfVoice(key, channel, when) {
+      var voice = voices[key];
+      delete voices[key];
+      var pedal = pedals[channel];
+      if (!(pedal && pedal.isDown && (pedal.time <= when))) {
+        releaseVoice(audioContext, voice, when);
+      }
+      voice.letGoTime = when;
+      letGo = letGo.filter(function(held) {
+        return !isFinished(held.voice);
+      });
+      letGo.push({key: key, channel: channel, voice: voice});
+    }
+
+    /**
+     * Move the provided channel's sustain pedal up or down at the provided
+     * time, releasing or holding the voices that were let go of.
+     */
+    function setPedal(channel, isDown, when) {
+      pedals[channel] = {isDown: isDown, time: when};
+      letGo = letGo.filter(function(held) {
+        var voice = held.voice;
+        if (held.channel !== channel) {
+          return true;
+        }
+        if (isDown && (voice.releaseTime !== undefined) &&
+            (voice.releaseTime > when)) {
+          holdVoice(voice);
+        } else if (!isDown && (voice.releaseTime === undefined)) {
+          releaseVoice(audioContext, voice, Math.max(when, voice.letGoTime));
+        }
+        return !isFinished(voice);
+      });
+    }
+
+    return {
+      name: globals.NAME,
+      send: function(midiMsg, timestamp) {
+        var when = Math.max(
+          audioContext.currentTime,
+          util.getAudioContextTime(audioContext, timestamp || performance.now())
+        );
+        var channel = midiMsg[0] & 0x0F;
+        var controlEvent = midi.getControlEventFromMessage(midiMsg);
+        if (controlEvent && (controlEvent.type === "controlChange") &&
+            (controlEvent.controller === midi.SUSTAIN_CONTROLLER)) {
+          setPedal(channel, controlEvent.value >= 64, when);
+          return;
+        }
+        if (!midi.isNoteMessage(midiMsg)) {
+          return;
+        }
+        var note = midi.getNoteFromNoteMessage(midiMsg);
+        var key = channel + "," + note;
+        if (!midi.isNoteOnMessage(midiMsg)) {
+          if (voices[key]) {
+            letGoOfVoice(key, channel, when);
+          }
+          return;
+        }
+        // Playing a note again cuts it off, even if the pedal is holding it
+        if (voices[key]) {
+          releaseVoice(audioContext, voices[key], when);
+          delete voices[key];
+        }
+        letGo.forEach(function(held) {
+          if ((held.key === key) && (held.voice.releaseTime === undefined)) {
+            releaseVoice(audioContext, held.voice, when);
+          }
+        });
+        voices[key] = startVoice(
+          audioContext, output, note,
+          midi.getVelocityFromNoteMessage(midiMsg), when
+        );
+      }
+    };
+  };
+})();
@@ -0,0 +1,119 @@
+/**
+ * This module changes the speed of decoded audio without changing its pitch,
+ * so that a recording can be slowed down to transcribe fast passages.
+ */
+var timestretch = {};
+
+// This is just a function that calls itself so that we only export variables
+// through the timestretch object
+(function() {
+  // Constants used across functions
+  var globals = {
+    // Length (s) of each piece of audio that gets overlapped with the others
+    FRAME_DURATION: 0.046,
+    // Only every this many samples are compared when looking for the best
+    // place to take the next frame from (a lower value is slower but smoother)
+    SEARCH_STRIDE: 4,
+    // Only every this many samples are summed when comparing two frames
+    COMPARE_STRIDE: 8
+  };
+
+  /**
+   * Return a Float32Array of the given length holding a (periodic) Hann window,
+   * which sums to exactly 1 when overlapped with itself by half its length.
+   */
+  function getHannWindow(length) {
+    var window = new Float32Array(length);
+    for (var i=0; i<length; i++) {
+      window[i] = 0.5 - (0.5 * Math.cos((2 * Math.PI * i) / length));
+    }
+    return window;
+  }
+
+  /**
+   * Given the mono samples, the start of the samples that would naturally
+   * follow the last frame, the ideal start of the next frame, the largest
+   * distance to search away from that ideal start, and the length to compare,
+   * return the start within the searched range whose samples best line up with
+   * the natural continuation (so the frames overlap without cancelling out).
+   */
+  function findBestFrameStart(mono, naturalStart, idealStart, tolerance,
+      compareLength) {
+    var bestStart = idealStart;
+    var bestScore = -Infinity;
+    var minStart = Math.max(0, idealStart - tolerance);
+    var maxStart = Math.min(
+      mono.length - compareLength, idealStart + tolerance
+    );
+    var maxCompare = Math.min(compareLength, mono.length - naturalStart);
+    for (var start=minStart; start<=maxStart; start+=globals.SEARCH_STRIDE) {
+      var score = 0;
+      for (var i=0; i<maxCompare; i+=globals.COMPARE_STRIDE) {
+        score += mono[naturalStart + i] * mono[start + i];
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestStart = start;
+      }
+    }
+    return bestStart;
+  }
+
+  /**
+   * Given an AudioContext, an AudioBuffer, and a rate (1 is normal speed, 0.5
+   * is half speed), return a new AudioBuffer with the same audio playing at
+   * that rate but at the original pitch. If the rate is 1, the original
+   * AudioBuffer is returned.
+   *
+   * This uses WSOLA (waveform similarity overlap-add): the output is built
+   * from overlapping windowed frames of the input taken at the new rate, where
+   * each frame's exact position is nudged to best match the audio that would
+   * have naturally followed the previous frame.
+   */
+  timestretch.stretch = function(audioContext, audioBuffer, rate) {
+    if (rate === 1) {
+      return audioBuffer;
+    }
+    var frameLength = Math.pow(2, Math.round(
+      Math.log2(audioBuffer.sampleRate * globals.FRAME_DURATION)
+    ));
+    var hop = frameLength / 2;
+    var tolerance = frameLength / 4;
+    var window = getHannWindow(frameLength);
+    var mono = util.getMonoSamples(audioBuffer);
+    var outLength = Math.ceil(audioBuffer.length / rate);
+    var frameStarts = [0];
+    for (var k=1; k*hop<outLength; k++) {
+      var idealStart = Math.min(
+        Math.round(k * hop * rate), audioBuffer.length - 1
+      );
+      var naturalStart = Math.min(
+        frameStarts[k-1] + hop, audioBuffer.length - 1
+      );
+      frameStarts.push(findBestFrameStart(
+        mono, naturalStart, idealStart, tolerance, hop
+      ));
+    }
+    var stretched = audioContext.createBuffer(
+      audioBuffer.numberOfChannels, outLength, audioBuffer.sampleRate
+    );
+    for (var c=0; c<audioBuffer.numberOfChannels; c++) {
+      var samples = audioBuffer.getChannelData(c);
+      var out = new Float32Array(outLength);
+      for (var k=0; k<frameStarts.length; k++) {
+        var outStart = k * hop;
+        var frameEnd = Math.min(
+          frameLength, outLength - outStart, samples.length - frameStarts[k]
+        );
+        for (var i=0; i<frameEnd; i++) {
+          // The first half of the first frame has nothing to overlap with, so
+          // it isn't faded in
+          var gain = ((k === 0) && (i < hop)) ? 1 : window[i];
+          out[outStart + i] += samples[frameStarts[k] + i] * gain;
+        }
+      }
+      stretched.copyToChannel(out, c);
+    }
+    return stretched;
+  };
+})();
@@ -26,4 +26,42 @@ var util = {};
       return Math.max(prevMax, note.end);
     }, 0);
   };
+
+  /**
+   * Given a time (ms) along a timeline that jumps back to the loop's start
+   * every time it reaches the loop's end, return the time in the song that it
+   * corresponds to. The loop is an object with attributes "start" and "end"
+   * (ms), or undefined if nothing is looping.
+   */
+  util.getLoopedTime = function(time, loop) {
+    if (!loop || (time < loop.end)) {
+      return time;
+    }
+    return loop.start + ((time - loop.end) % (loop.end - loop.start));
+  };
+
+  /**
+   * Given a time (ms) from page load (see performance.now), return the
+   * AudioContext time (s) at which audio should be scheduled to play at that
+   * same moment. Audio and software instruments scheduled with this share the
+   * AudioContext's clock, so they stay in sync with each other.
+   */
+  util.getAudioContextTime = function(audioContext, time) {
+    return audioContext.currentTime + ((time - performance.now()) / 1000);
+  };
+
+  /**
+   * Given an AudioBuffer, return a Float32Array of its channels averaged
+   * together.
+   */
+  util.getMonoSamples = function(audioBuffer) {
+    var mono = new Float32Array(audioBuffer.length);
+    for (var c=0; c<audioBuffer.numberOfChannels; c++) {
+      var samples = audioBuffer.getChannelData(c);
+      for (var i=0; i<mono.length; i++) {
+        mono[i] += samples[i] / audioBuffer.numberOfChannels;
+      }
+    }
+    return mono;
+  };
 })()